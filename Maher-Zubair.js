@@ -1,8 +1,18 @@
 /* LORDKARMA Session Generator - Render/Panel entrypoint */
 
+const config = require('./config');
+
+// fail fast: list every bad env value and exit before binding the port
+try {
+  config.get();
+} catch (e) {
+  console.error(`[config] ${e.message}`);
+  process.exit(1);
+}
+
 const app = require('./app');
 
-const PORT = process.env.PORT || 8000;
+const PORT = config.get().port;
 app.listen(PORT, () => {
   console.log(`LORDKARMA Session Generator running on port ${PORT}`);
 });
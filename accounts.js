@@ -0,0 +1,232 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { getCollection } = require("./db");
+
+/* =========================
+ * Accounts + API keys
+ * =========================
+ * An account owns any number of API keys. A key looks like
+ *   lk_<key_id>_<secret>
+ * and only its sha256 is stored. Keys carry scopes:
+ *   pair      POST /api/pair, POST /api/qr
+ *   status    GET /api/status/:id, GET /api/events/:id
+ *   download  GET /api/session/:id
+ *
+ * Stored in MongoDB (accounts, api_keys) when configured,
+ * otherwise in accounts/accounts.json.
+ */
+
+const SCOPES = ["pair", "status", "download"];
+
+const ACCOUNTS_DIR = path.join(process.cwd(), "accounts");
+const ACCOUNTS_FILE = path.join(ACCOUNTS_DIR, "accounts.json");
+
+function hashKey(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function publicKey(k) {
+  if (!k) return null;
+  const { hash, _id, ...rest } = k;
+  return rest;
+}
+
+function publicAccount(a) {
+  if (!a) return null;
+  const { _id, ...rest } = a;
+  return rest;
+}
+
+/* =========================
+ * Storage
+ * ========================= */
+function readFileStore() {
+  try {
+    const j = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf-8"));
+    return { accounts: j.accounts || [], keys: j.keys || [] };
+  } catch (_) {
+    return { accounts: [], keys: [] };
+  }
+}
+
+function writeFileStore(store) {
+  fs.mkdirSync(ACCOUNTS_DIR, { recursive: true });
+  fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(store, null, 2));
+}
+
+let _indexed = false;
+
+async function collections() {
+  const accounts = await getCollection("accounts");
+  if (!accounts) return null;
+  const keys = await getCollection("api_keys");
+
+  if (!_indexed) {
+    _indexed = true;
+    try {
+      await accounts.createIndex({ account_id: 1 }, { unique: true });
+      await keys.createIndex({ key_id: 1 }, { unique: true });
+      await keys.createIndex({ account_id: 1 });
+    } catch (_) {}
+  }
+  return { accounts, keys };
+}
+
+/* =========================
+ * Accounts
+ * ========================= */
+async function createAccount({ name }) {
+  const account = {
+    account_id: `acc_${crypto.randomBytes(6).toString("hex")}`,
+    name: String(name || "").trim() || "unnamed",
+    created_at: Date.now(),
+  };
+
+  const cols = await collections();
+  if (cols) {
+    await cols.accounts.insertOne({ ...account });
+  } else {
+    const store = readFileStore();
+    store.accounts.push(account);
+    writeFileStore(store);
+  }
+  return account;
+}
+
+async function getAccount(account_id) {
+  const cols = await collections();
+  if (cols) return publicAccount(await cols.accounts.findOne({ account_id }));
+  return readFileStore().accounts.find((a) => a.account_id === account_id) || null;
+}
+
+async function listAccounts() {
+  const cols = await collections();
+  if (cols) {
+    const accounts = await cols.accounts.find({}).sort({ created_at: 1 }).toArray();
+    const keys = await cols.keys.find({}).toArray();
+    return accounts.map((a) => ({
+      ...publicAccount(a),
+      keys: keys.filter((k) => k.account_id === a.account_id).map(publicKey),
+    }));
+  }
+
+  const store = readFileStore();
+  return store.accounts.map((a) => ({
+    ...a,
+    keys: store.keys.filter((k) => k.account_id === a.account_id).map(publicKey),
+  }));
+}
+
+/* =========================
+ * API keys
+ * ========================= */
+
+/**
+ * Returns { key, record }. The plain key is only ever returned here.
+ */
+async function createKey(account_id, { label, scopes } = {}) {
+  const wanted = Array.isArray(scopes) && scopes.length ? scopes : SCOPES;
+  const bad = wanted.filter((s) => !SCOPES.includes(s));
+  if (bad.length) throw new Error(`Unknown scope(s): ${bad.join(", ")}`);
+
+  const key_id = crypto.randomBytes(4).toString("hex");
+  const key = `lk_${key_id}_${crypto.randomBytes(24).toString("base64url")}`;
+
+  const record = {
+    key_id,
+    account_id,
+    label: String(label || "").trim() || "default",
+    scopes: [...new Set(wanted)],
+    hash: hashKey(key),
+    created_at: Date.now(),
+    revoked_at: null,
+    last_used_at: null,
+  };
+
+  const cols = await collections();
+  if (cols) {
+    await cols.keys.insertOne({ ...record });
+  } else {
+    const store = readFileStore();
+    store.keys.push(record);
+    writeFileStore(store);
+  }
+  return { key, record: publicKey(record) };
+}
+
+async function getKey(key_id) {
+  const cols = await collections();
+  if (cols) return await cols.keys.findOne({ key_id });
+  return readFileStore().keys.find((k) => k.key_id === key_id) || null;
+}
+
+async function revokeKey(key_id) {
+  const revoked_at = Date.now();
+
+  const cols = await collections();
+  if (cols) {
+    const r = await cols.keys.updateOne({ key_id, revoked_at: null }, { $set: { revoked_at } });
+    return r.modifiedCount > 0;
+  }
+
+  const store = readFileStore();
+  const k = store.keys.find((x) => x.key_id === key_id && !x.revoked_at);
+  if (!k) return false;
+  k.revoked_at = revoked_at;
+  writeFileStore(store);
+  return true;
+}
+
+function isApiKey(raw) {
+  return /^lk_[0-9a-f]{8}_[A-Za-z0-9_-]+$/.test(String(raw || ""));
+}
+
+/**
+ * Returns the key record (without hash) for a live key, else null.
+ */
+async function verifyKey(raw) {
+  if (!isApiKey(raw)) return null;
+
+  const key_id = String(raw).split("_")[1];
+  const k = await getKey(key_id);
+  if (!k || k.revoked_at) return null;
+
+  const a = Buffer.from(k.hash, "hex");
+  const b = Buffer.from(hashKey(raw), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  // best effort, never blocks the request
+  touchKey(key_id).catch(() => {});
+  return publicKey(k);
+}
+
+async function touchKey(key_id) {
+  const last_used_at = Date.now();
+  const cols = await collections();
+  if (cols) {
+    await cols.keys.updateOne({ key_id }, { $set: { last_used_at } });
+    return;
+  }
+
+  const store = readFileStore();
+  const k = store.keys.find((x) => x.key_id === key_id);
+  if (k) {
+    k.last_used_at = last_used_at;
+    writeFileStore(store);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  createAccount,
+  getAccount,
+  listAccounts,
+  createKey,
+  revokeKey,
+  isApiKey,
+  verifyKey,
+};
@@ -1,24 +1,46 @@
 "use strict";
 
 const express = require("express");
-const fs = require("fs");
-const path = require("path");
-const archiver = require("archiver");
-const rateLimit = require("express-rate-limit");
 const cors = require("cors");
-const pino = require("pino");
+const QRCode = require("qrcode");
 
-const { getCollection } = require("./db");
 const { makeid } = require("./id");
-
+const { useStoreAuthState } = require("./auth-state");
 const {
-  default: makeWASocket,
-  useMultiFileAuthState,
-  makeCacheableSignalKeyStore,
-  delay,
-  Browsers,
-  fetchLatestBaileysVersion,
-} = require("@whiskeysockets/baileys");
+  SESS_DIR,
+  ensureDir,
+  writeStatus,
+  readStatus,
+  loadStatus,
+  sessionFiles,
+  isRegisteredSession,
+  listStatuses,
+  purgeSession,
+} = require("./store");
+const vault = require("./vault");
+const { encodeSessionString } = require("./session-string");
+const bundle = require("./bundle");
+const importer = require("./importer");
+const progress = require("./progress");
+const accounts = require("./accounts");
+const janitor = require("./janitor");
+const verifier = require("./verifier");
+const webhooks = require("./webhooks");
+const { validatePhone } = require("./phone");
+const welcome = require("./welcome");
+const scheduler = require("./scheduler");
+const cluster = require("./cluster");
+const metrics = require("./metrics");
+const audit = require("./audit");
+const tokens = require("./tokens");
+const limits = require("./limits");
+const health = require("./health");
+const config = require("./config");
+const { isApiKey, verifyKey } = accounts;
+
+const wa = require("./wa-driver");
+
+const { delay, DisconnectReason } = require("@whiskeysockets/baileys");
 
 const router = express.Router();
 
@@ -27,48 +49,66 @@ const router = express.Router();
  * ========================= */
 router.use(
   cors({
-    origin: process.env.CORS_ORIGIN || "*",
-    methods: ["GET", "POST"],
-    allowedHeaders: ["Content-Type", "X-SESSION-SECRET"],
+    origin: config.get().corsOrigin,
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    allowedHeaders: ["Content-Type", "X-SESSION-SECRET", "X-API-KEY", "X-DOWNLOAD-TOKEN", "Authorization"],
   })
 );
 
-const pairLimiter = rateLimit({
-  windowMs: 60_000,
-  max: 12,
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
 /* =========================
- * Storage
- * ========================= */
-const SESS_DIR = path.join(process.cwd(), "sessions");
-const ACTIVE_DIR = path.join(process.cwd(), "active");
+ * Abuse limits (limits.js)
+ * =========================
+ * pairLimiter counts the client IP (before the secret gate, so guessing it is limited too),
+ * keyLimiter the API key (after requireScope). Phone numbers are counted where a code is
+ * sent: startPairing and refreshPairCode (which skips the IP layer, the phone layers cover it). Rejections are 429 with Retry-After.
+ */
+async function takeLimits(subjects) {
+  const r = await limits.take(subjects);
+  if (!r) return;
+  LIMIT_METRICS.inc({ layer: r.layer });
+  const e = httpError(429, r.error);
+  e.retry_after = r.retry_after;
+  throw e;
+}
+
+// Retry-After header + retry_after in the body for a limits.js 429
+function limited(res, e) {
+  if (!e?.retry_after) return {};
+  res.set("Retry-After", String(e.retry_after));
+  return { retry_after: e.retry_after };
+}
 
-function ensureDir(p) {
+async function pairLimiter(req, res, next) {
   try {
-    fs.mkdirSync(p, { recursive: true });
-  } catch (_) {}
+    await takeLimits({ ip: req.ip || req.socket?.remoteAddress });
+    return next();
+  } catch (e) {
+    return res.status(e.status || 429).json({ ok: false, error: e.message, ...limited(res, e) });
+  }
 }
 
-function normalizeNumber(raw) {
-  if (!raw) return null;
-  // keep digits only; WhatsApp expects country code without '+'
-  const num = String(raw).replace(/[^0-9]/g, "");
-  if (num.length < 8) return null;
-  return num;
+async function keyLimiter(req, res, next) {
+  if (req.principal?.type !== "key") return next();
+  try {
+    await takeLimits({ key: req.principal.key_id });
+    return next();
+  } catch (e) {
+    return res.status(e.status || 429).json({ ok: false, error: e.message, ...limited(res, e) });
+  }
 }
 
 /* =========================
  * Secret Gate
- * ========================= */
-function checkSecret(req) {
-  const secret = process.env.SESSION_SECRET;
-  if (!secret) return true; // gate disabled
-
-  const provided = (
+ * =========================
+ * Two kinds of credentials:
+ *  - SESSION_SECRET: the portal admin password (full access, admin routes)
+ *  - per-account API keys (see accounts.js): scoped, revocable, only see their own sessions
+ * Without SESSION_SECRET the gate is disabled, except that a presented API key must be valid.
+ */
+function providedSecret(req) {
+  return (
     req.headers["x-session-secret"] ||
+    bearerSecret(req) ||
     req.query?.secret ||
     req.body?.secret ||
     req.body?.password ||
@@ -76,106 +116,96 @@ function checkSecret(req) {
   )
     .toString()
     .trim();
+}
 
-  return provided && provided === secret;
+function bearerToken(req) {
+  const auth = String(req.headers.authorization || "");
+  return /^bearer /i.test(auth) ? auth.slice(7).trim() : "";
 }
 
-function requireSecret(req, res, next) {
-  if (checkSecret(req)) return next();
-  return res.status(401).json({ ok: false, error: "Unauthorized (bad secret)" });
+// "Authorization: Bearer <SESSION_SECRET>" (e.g. a Prometheus scrape config)
+function bearerSecret(req) {
+  const t = bearerToken(req);
+  return t && !isApiKey(t) ? t : "";
 }
 
-/* =========================
- * DB helpers (optional)
- * ========================= */
-async function dbUpsert(session_id, patch) {
-  try {
-    const col = await getCollection();
-    if (!col) return;
+function providedApiKey(req) {
+  const bearer = bearerToken(req);
+  if (bearer && isApiKey(bearer)) return bearer;
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]).trim();
 
-    const { created_at, ...rest } = patch || {};
-    await col.updateOne(
-      { session_id },
-      {
-        $set: { ...rest, session_id, updated_at: Date.now() },
-        $setOnInsert: { created_at: created_at || Date.now() },
-      },
-      { upsert: true }
-    );
-  } catch (e) {
-    console.warn("[dbUpsert]", e?.message || e);
-  }
+  // the portal's single password field may carry an API key too
+  const s = providedSecret(req);
+  return isApiKey(s) ? s : "";
 }
 
-async function dbGet(session_id) {
-  try {
-    const col = await getCollection();
-    if (!col) return null;
-    return await col.findOne({ session_id });
-  } catch (_) {
-    return null;
-  }
-}
+function checkSecret(req) {
+  const secret = config.get().sessionSecret;
+  if (!secret) return true; // gate disabled
 
-/* =========================
- * Status helpers
- * ========================= */
-function makeSessionId() {
-  return `LK-${Date.now()}-${makeid(4)}`;
+  const provided = providedSecret(req);
+  return provided && provided === secret;
 }
 
-function statusPath(sessionId) {
-  return path.join(ACTIVE_DIR, `${sessionId}.json`);
-}
+/**
+ * { type: "admin" | "open" } or { type: "key", key_id, account_id, scopes };
+ * null when the request is not allowed in at all.
+ */
+async function resolvePrincipal(req) {
+  const apiKey = providedApiKey(req);
+  if (apiKey) {
+    const k = await verifyKey(apiKey);
+    return k ? { type: "key", key_id: k.key_id, account_id: k.account_id, scopes: k.scopes } : null;
+  }
 
-function writeStatus(sessionId, data) {
-  ensureDir(ACTIVE_DIR);
-  try {
-    fs.writeFileSync(statusPath(sessionId), JSON.stringify(data, null, 2));
-  } catch (_) {}
+  if (!config.get().sessionSecret) return { type: "open" };
+  return checkSecret(req) ? { type: "admin" } : null;
+}
 
-  dbUpsert(sessionId, data).catch(() => {});
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const p = await resolvePrincipal(req);
+      if (!p) return res.status(401).json({ ok: false, error: "Unauthorized (bad secret)" });
+      if (p.type === "key" && !p.scopes.includes(scope)) {
+        return res.status(403).json({ ok: false, error: `API key lacks the "${scope}" scope` });
+      }
+      req.principal = p;
+      return next();
+    } catch (e) {
+      console.error("[auth]", e);
+      return res.status(500).json({ ok: false, error: "auth failed" });
+    }
+  };
 }
 
-function readStatus(sessionId) {
-  try {
-    return JSON.parse(fs.readFileSync(statusPath(sessionId), "utf-8"));
-  } catch (_) {
-    return null;
+function requireAdmin(req, res, next) {
+  if (!config.get().sessionSecret) {
+    return res.status(403).json({ ok: false, error: "Admin API disabled (set SESSION_SECRET)" });
   }
+  if (checkSecret(req)) {
+    req.principal = { type: "admin" };
+    return next();
+  }
+  return res.status(401).json({ ok: false, error: "Unauthorized (bad secret)" });
 }
 
-function credsPath(sessionId) {
-  return path.join(SESS_DIR, sessionId, "creds.json");
+// fields recorded on a session so it can be traced back to its key
+function ownerFields(principal) {
+  if (principal?.type !== "key") return {};
+  return { account_id: principal.account_id, key_id: principal.key_id };
 }
 
-function isRegisteredSession(sessionId) {
-  const p = credsPath(sessionId);
-  if (!fs.existsSync(p)) return false;
-  try {
-    const creds = JSON.parse(fs.readFileSync(p, "utf-8"));
-    return !!creds?.registered;
-  } catch (_) {
-    return false;
-  }
+function canAccess(principal, st) {
+  if (principal?.type !== "key") return true;
+  return !!st && st.account_id === principal.account_id;
 }
 
 /* =========================
- * Zip helper
+ * Session ids
  * ========================= */
-async function zipFolderToBuffer(folderPath) {
-  return await new Promise((resolve, reject) => {
-    const archive = archiver("zip", { zlib: { level: 9 } });
-    const chunks = [];
-
-    archive.on("warning", (err) => console.warn("[zip warning]", err?.message || err));
-    archive.on("error", reject);
-    archive.on("data", (d) => chunks.push(d));
-    archive.on("end", () => resolve(Buffer.concat(chunks)));
-
-    archive.directory(folderPath, false);
-    archive.finalize();
-  });
+function makeSessionId() {
+  return `LK-${Date.now()}-${makeid(16)}`;
 }
 
 /* =========================
@@ -188,24 +218,93 @@ function safeEnd(sock) {
   try { sock?.end?.(); } catch (_) {}
 }
 
+// drops the live entry and hands its scheduler slot (or queue place) to the next session
+function forgetSocket(session_id) {
+  PAIR_SOCKETS.delete(session_id);
+  scheduler.release(session_id);
+  for (const [num, id] of PENDING_PHONES) if (id === session_id) PENDING_PHONES.delete(num);
+  cluster.release(session_id).catch((e) => console.warn("[lease release]", e?.message || e));
+}
+
+// queue moves show up on /api/events/:id ("queued" with the new position)
+scheduler.events.on("position", (session_id, position) => {
+  if (position > 0) progress.emitStage(session_id, "queued", { position });
+});
+
+/* =========================
+ * Metrics (metrics.js, scraped at GET /metrics)
+ * ========================= */
+const SECONDS_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+
+const PAIR_METRICS = {
+  requests: metrics.counter(
+    "lk_pair_requests_total",
+    "Login requests by mode (pair, qr) and outcome (issued, queued, conflict, queue_full, limited, invalid, failed)",
+    ["mode", "outcome"]
+  ),
+  codeRetries: metrics.counter("lk_pair_code_retries_total", "requestPairCode attempts that failed and were retried"),
+  codeFailures: metrics.counter("lk_pair_code_failures_total", "Pairing codes that could not be obtained"),
+  codeRefreshes: metrics.counter("lk_pair_code_refreshes_total", "New pairing codes for existing sessions (POST /api/pair/:id/refresh)"),
+  finished: metrics.counter("lk_sessions_finished_total", "Sessions that reached ready or expired", ["mode", "outcome"]),
+  welcome: metrics.counter("lk_welcome_messages_total", "Welcome DMs to linked accounts by outcome", ["outcome"]),
+  timeToCode: metrics.histogram(
+    "lk_time_to_code_seconds",
+    "Seconds from the login request to the pairing code (pair) or first QR (qr)",
+    SECONDS_BUCKETS,
+    ["mode"]
+  ),
+  timeToLink: metrics.histogram(
+    "lk_time_to_link_seconds",
+    "Seconds from the login request to the linked device",
+    SECONDS_BUCKETS,
+    ["mode"]
+  ),
+};
+
+metrics.gauge("lk_pair_sockets", "Live login sockets on this instance (PAIR_SOCKETS.size)", () => PAIR_SOCKETS.size);
+metrics.gauge("lk_pair_queue_length", "Sessions waiting for a pairing slot", () => scheduler.stats().queued);
+
+const VERIFY_METRICS = metrics.counter(
+  "lk_session_verifications_total",
+  "Stored-session health checks by result (valid, logged_out, unreachable) and trigger (api, scheduled, import)",
+  ["result", "trigger"]
+);
+
+const LIMIT_METRICS = metrics.counter(
+  "lk_rate_limited_total",
+  "Login requests refused by limits.js, by layer (ip_minute, ip_day, phone_hour, phone_day, key_minute, key_day, cooldown)",
+  ["layer"]
+);
+
+const IMPORT_METRICS = metrics.counter(
+  "lk_sessions_imported_total",
+  "Sessions made from imported creds (POST /api/session/import) by format and outcome (imported, rejected)",
+  ["format", "outcome"]
+);
+
+function sinceCreated(st) {
+  return st?.created_at ? (Date.now() - st.created_at) / 1000 : NaN;
+}
+
 /**
  * Request a pairing code with a small retry loop.
  * IMPORTANT: For pairing-code login, the socket usually does NOT reach "open"
  * until AFTER the user links the device. So we must NOT wait for "open" here.
  */
-async function requestPairCode(sock, num, tries = 6) {
+async function requestPairCode(sock, num, tries = 6, onRetry = null) {
   let lastErr = null;
   for (let i = 0; i < tries; i++) {
     try {
       // Some environments need a short warm-up before requesting.
-      await delay(400);
+      await delay(wa.driver().timings.warmupMs);
       const code = await sock.requestPairingCode(num);
       if (code) return code;
       lastErr = new Error("Empty pairing code");
     } catch (e) {
       lastErr = e;
+      if (i < tries - 1) onRetry?.(i + 1, e);
       // backoff a bit
-      await delay(900 + i * 250);
+      await delay(wa.driver().timings.retryMs + i * wa.driver().timings.retryStepMs);
     }
   }
   throw lastErr || new Error("Failed to request pairing code");
@@ -214,201 +313,1413 @@ async function requestPairCode(sock, num, tries = 6) {
 /* =========================
  * Core pairing
  * ========================= */
-async function startPairing(num) {
-  ensureDir(SESS_DIR);
+const SESSION_TTL_MS = 10 * 60 * 1000;
 
-  const session_id = makeSessionId();
-  const sessPath = path.join(SESS_DIR, session_id);
-  ensureDir(sessPath);
+async function expireSession(session_id) {
+  try {
+    const st = await loadStatus(session_id);
+    if (st && st.status === "pending") {
+      writeStatus(session_id, { ...st, status: "expired", expired_at: Date.now() });
+      PAIR_METRICS.finished.inc({ mode: st.mode || "pair", outcome: "expired" });
+      audit.record("session.expired", { session_id, details: { mode: st.mode } });
+      progress.emitStage(session_id, "expired");
+      webhooks.notify(session_id, "session.expired");
+      // codes nobody used: repeated ones put the number on a cooldown (limits.js)
+      if (st.mode !== "qr" && st.phone) limits.noteExpiry(st.phone);
+    }
+  } catch (_) {}
+
+  // also takes a still-queued session out of the queue
+  safeEnd(PAIR_SOCKETS.get(session_id));
+  forgetSocket(session_id);
+}
+
+// one TTL timer per pending session, re-armed when a new code extends expires_at
+const EXPIRY_TIMERS = new Map();
+
+function armExpiry(session_id, expires_at) {
+  clearTimeout(EXPIRY_TIMERS.get(session_id));
+  const t = setTimeout(() => {
+    EXPIRY_TIMERS.delete(session_id);
+    expireSession(session_id);
+  }, Math.max(0, expires_at - Date.now()));
+  t.unref?.();
+  EXPIRY_TIMERS.set(session_id, t);
+}
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Writes the initial pending record and arms the TTL.
+ */
+function createSession(fields, session_id = makeSessionId()) {
+  ensureDir(SESS_DIR);
 
   const created_at = Date.now();
-  const ttlMs = 10 * 60 * 1000;
-  const expires_at = created_at + ttlMs;
+  const expires_at = created_at + SESSION_TTL_MS;
 
   // initial pending status (no code yet)
-  writeStatus(session_id, { status: "pending", created_at, expires_at, phone: num });
-
-  const { state, saveCreds } = await useMultiFileAuthState(sessPath);
-
-  const { version } = await fetchLatestBaileysVersion();
-
-  const sock = makeWASocket({
-    version,
-    logger: pino({ level: "silent" }),
-    printQRInTerminal: false,
-    browser: Browsers.ubuntu("LORDKARMA Session Portal"),
-    auth: {
-      creds: state.creds,
-      keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "silent" })),
-    },
-    // very important for pairing-code portals:
-    // keep default (mobile false) so it behaves like WhatsApp Web
-    mobile: false,
-    syncFullHistory: false,
-  });
+  writeStatus(session_id, { status: "pending", created_at, expires_at, ...fields });
+
+  // TTL cleanup
+  armExpiry(session_id, expires_at);
+
+  // shared-state mode: other nodes leave it alone while this one holds the lease
+  cluster.claim(session_id).catch((e) => console.warn("[lease claim]", e?.message || e));
+
+  return { session_id, created_at, expires_at };
+}
+
+/**
+ * WhatsApp Web version, fetched once and reused for BAILEYS_VERSION_TTL_MS (default 6h)
+ * instead of once per socket. Concurrent sockets share one in-flight fetch.
+ */
+let _version = null; // { version, at }
+let _versionFetch = null;
+let _versionError = null; // why the last fetch failed (GET /api/ready)
+
+async function baileysVersion() {
+  const ttl = config.get().baileysVersionTtlMs;
+  if (_version && Date.now() - _version.at < ttl) return _version.version;
+
+  _versionFetch =
+    _versionFetch ||
+    wa
+      .driver()
+      .latestVersion()
+      .then((r) => {
+        // a failed fetch resolves with { error, version: <bundled> }:
+        // keep the last good version and try again in a minute
+        _versionError = r.error ? r.error?.message || String(r.error) : null;
+        if (r.error && _version) _version.at = Date.now() - ttl + 60_000;
+        else _version = { version: r.version, at: r.error ? Date.now() - ttl + 60_000 : Date.now() };
+      })
+      .finally(() => (_versionFetch = null));
+
+  await _versionFetch;
+  return _version.version;
+}
+
+// WA_DRIVER: makeWASocket, or the scripted fake for offline tests (wa-driver.js)
+async function makeSocket(state) {
+  return wa.driver().makeSocket(state, await baileysVersion());
+}
+
+/**
+ * -> ready: records it, issues the one-time download token (tokens.js) and fires session.ready
+ * with it. Returns { download_token, download_expires_at } for the welcome DM.
+ */
+function markReady(session_id, st, patch = {}) {
+  const { token, fields } = tokens.issue();
+  writeStatus(session_id, { ...st, ...patch, status: "ready", ready_at: Date.now(), ...fields });
+  limits.clearExpiries(patch.phone || st.phone);
+
+  const download = { download_token: token, download_expires_at: fields.token_expires_at };
+  webhooks.notify(session_id, "session.ready", download);
+  audit.record("session.token_issued", { session_id, details: { reason: "ready" } });
+  return download;
+}
+
+/**
+ * Welcome DM (welcome.js template for the session's locale) plus the configured attachment.
+ */
+async function sendWelcome(sock, jid, session_id, extra = {}) {
+  let w;
+  try {
+    w = await welcome.composeWelcome(session_id, (await loadStatus(session_id)) || {}, extra);
+    await sock.sendMessage(jid, { text: w.text });
+    progress.emitStage(session_id, "welcome_sent", { locale: w.locale });
+    PAIR_METRICS.welcome.inc({ outcome: "sent" });
+  } catch (e) {
+    PAIR_METRICS.welcome.inc({ outcome: "failed" });
+    console.log("[welcome send failed]", e?.message || e);
+  }
+  if (!w || w.attach === "none") return;
+
+  try {
+    const files = await (await sessionFiles(session_id)).list();
+    if (w.attach === "zip") {
+      await sock.sendMessage(jid, {
+        document: await bundle.zipFilesToBuffer(files),
+        mimetype: "application/zip",
+        fileName: `${session_id}.zip`,
+        caption: `${w.bot_name} session files`,
+      });
+    } else if (w.attach === "string") {
+      await sock.sendMessage(jid, {
+        document: Buffer.from(encodeSessionString(files)),
+        mimetype: "text/plain",
+        fileName: `${session_id}.txt`,
+        caption: `${w.bot_name} session string (paste as SESSION_ID)`,
+      });
+    } else {
+      await sock.sendMessage(jid, { text: encodeSessionString(files) });
+    }
+  } catch (e) {
+    console.log("[session attachment send failed]", e?.message || e);
+  }
+}
+
+/**
+ * Opens a login socket on the session's auth store and wires up linking:
+ * ready status, welcome DM, progress stages. Shared by pairing-code and QR login.
+ */
+async function openLoginSocket(session_id, { onQr } = {}) {
+  const { state, saveCreds } = await useStoreAuthState(await sessionFiles(session_id));
+  const sock = await makeSocket(state);
 
   PAIR_SOCKETS.set(session_id, sock);
-  sock.ev.on("creds.update", saveCreds);
+  // a failed write (bad SESSION_ENC_KEY, network store down) must not become an unhandled rejection
+  sock.ev.on("creds.update", () => saveCreds().catch((e) => console.warn("[saveCreds]", e?.message || e)));
 
   let finalized = false;
+  let linked = false;
+
+  const markLinked = () => {
+    if (linked) return;
+    linked = true;
+    progress.emitStage(session_id, "linked");
+  };
+
+  sock.ev.on("creds.update", (c) => {
+    if (c?.registered || sock?.authState?.creds?.registered) markLinked();
+  });
 
   sock.ev.on("connection.update", async (u) => {
     try {
       if (!u) return;
 
+      if (u.qr && !linked && onQr) await onQr(u.qr);
+
       // When user successfully links, creds.registered becomes true
       if (!finalized && u.connection === "open") {
-        // give filesystem a moment to flush creds.json
-        await delay(1200);
+        // give the auth store a moment to flush creds.json
+        await delay(wa.driver().timings.credsFlushMs);
 
-        if (isRegisteredSession(session_id) || sock?.authState?.creds?.registered) {
+        if ((await isRegisteredSession(session_id)) || sock?.authState?.creds?.registered) {
           finalized = true;
-
-          const st = readStatus(session_id) || {};
-          writeStatus(session_id, { ...st, status: "ready" });
+          markLinked();
 
           // Send the welcome message to the linked account (most reliable)
           const me = sock?.user?.id; // e.g. "2348...:xx@s.whatsapp.net"
-          const msg =
-`🖤✨ LORDKARMA SESSION LINKED ✅
-
-You have successfully linked your bot session.
-
-📌 Session ID:
-${session_id}
-
-✅ Next:
-Deploy the bot and set SESSION_ID=${session_id}
 
-⚠ Keep this Session ID private.
-— LORDKARMA`;
+          const st = readStatus(session_id) || {};
+          const download = markReady(session_id, st, {
+            phone: st.phone || (me ? me.split(/[:@]/)[0] : undefined),
+          });
+          PAIR_METRICS.finished.inc({ mode: st.mode || "pair", outcome: "ready" });
+          PAIR_METRICS.timeToLink.observe({ mode: st.mode || "pair" }, sinceCreated(st));
+          audit.record("session.linked", { session_id, details: { mode: st.mode } });
 
           if (me) {
-            await delay(2000);
-            try {
-              await sock.sendMessage(me, { text: msg });
-            } catch (e) {
-              console.log("[welcome send failed]", e?.message || e);
-            }
+            await delay(wa.driver().timings.welcomeMs);
+            await sendWelcome(sock, me, session_id, download);
           }
 
           // Keep alive a bit so WhatsApp finishes the link handshake
-          await delay(20000);
+          await delay(wa.driver().timings.keepAliveMs);
 
           safeEnd(sock);
-          PAIR_SOCKETS.delete(session_id);
+          forgetSocket(session_id);
         }
       }
 
       if (u.connection === "close") {
-        PAIR_SOCKETS.delete(session_id);
+        forgetSocket(session_id);
+        if (!finalized && !linked) {
+          const statusCode = u.lastDisconnect?.error?.output?.statusCode;
+          // 408: WhatsApp stopped issuing QR refs / pairing timed out
+          if (statusCode === DisconnectReason.timedOut) return expireSession(session_id);
+
+          progress.emitStage(session_id, "error", {
+            error: u.lastDisconnect?.error?.message || "Connection closed",
+            statusCode,
+          });
+        }
       }
     } catch (e) {
       console.log("[connection.update error]", e?.message || e);
     }
   });
 
+  return sock;
+}
+
+// phone -> session_id of its pairing in flight (one at a time per number)
+const PENDING_PHONES = new Map();
+
+function pendingPairFor(num) {
+  const id = PENDING_PHONES.get(num);
+  if (!id) return null;
+
+  const inFlight = PAIR_SOCKETS.has(id) || scheduler.isHolding(id) || scheduler.position(id) > 0;
+  if (inFlight && readStatus(id)?.status === "pending") return id;
+  PENDING_PHONES.delete(num);
+  return null;
+}
+
+// numbers of pairings being set up: the limit check awaits before PENDING_PHONES has them
+const RESERVED_PHONES = new Set();
+
+// holds the number for session_id (or a new session); false while another pairing has it
+function reservePhone(num, session_id) {
+  const id = pendingPairFor(num);
+  if (RESERVED_PHONES.has(num) || (id && id !== session_id)) return false;
+  RESERVED_PHONES.add(num);
+  return true;
+}
+
+// counts a start* call in lk_pair_requests_total
+async function countOutcome(mode, start) {
+  try {
+    const out = await start();
+    PAIR_METRICS.requests.inc({ mode, outcome: out.queued ? "queued" : "issued" });
+    return out;
+  } catch (e) {
+    const outcome =
+      e?.status === 409 ? "conflict" : e?.status === 503 ? "queue_full" : e?.status === 429 ? "limited" : "failed";
+    PAIR_METRICS.requests.inc({ mode, outcome });
+    throw e;
+  }
+}
+
+/**
+ * Runs `open(session_id)` once the scheduler grants a slot. With a free slot (or waitForSlot)
+ * resolves with its result; otherwise right away with { queued: true, position } and the
+ * result arrives on the event stream / status record.
+ */
+async function scheduleLogin(session_id, expires_at, slot, open, waitForSlot) {
+  const run = slot.ready.then(() => open(session_id));
+  if (slot.position > 0) progress.emitStage(session_id, "queued", { position: slot.position });
+  if (slot.position === 0 || waitForSlot) return await run;
+
+  run.catch((e) => console.warn("[queued login]", session_id, e?.message || e));
+  return { session_id, expires_at, queued: true, position: slot.position };
+}
+
+// code_retried stages + lk_pair_code_retries_total for requestPairCode
+function onCodeRetry(session_id) {
+  return (attempt, e) => {
+    PAIR_METRICS.codeRetries.inc();
+    progress.emitStage(session_id, "code_retried", { attempt, error: e?.message || String(e) });
+  };
+}
+
+/**
+ * Opens a login socket on the session's stored auth state and asks it for a pairing code.
+ * On failure the socket is closed and forgotten.
+ */
+async function openPairSocket(session_id, num) {
   // IMPORTANT:
   // For *pairing code* auth, Baileys often won't reach connection === "open" until AFTER
   // the user links the device. So waiting for "open" here can deadlock.
   // Instead, request the pairing code with a small retry loop.
-  const code = await requestPairCode(sock, num);
+  let sock;
+  try {
+    sock = await openLoginSocket(session_id);
+    return await requestPairCode(sock, num, 6, onCodeRetry(session_id));
+  } catch (e) {
+    PAIR_METRICS.codeFailures.inc();
+    progress.emitStage(session_id, "error", { error: e?.message || "Failed to request pairing code" });
+    safeEnd(sock);
+    forgetSocket(session_id);
+    throw e;
+  }
+}
+
+async function issuePairCode(session_id, num, expires_at) {
+  const code = await openPairSocket(session_id, num);
 
   const st = readStatus(session_id) || {};
   writeStatus(session_id, { ...st, code });
+  progress.emitStage(session_id, "code_issued", { code, expires_at });
+  PAIR_METRICS.timeToCode.observe({ mode: "pair" }, sinceCreated(st));
 
-  // TTL cleanup
-  setTimeout(() => {
+  return { session_id, code, expires_at };
+}
+
+const PAIR_CODE_REFRESH_MAX = config.get().pairCodeRefreshMax;
+const REFRESHING = new Set();
+
+/**
+ * New code for a pending pairing-code session: asked on its live socket, or on one rebuilt
+ * from the stored auth state when that is gone (closed, restarted). Pushes expires_at out by
+ * another TTL; at most PAIR_CODE_REFRESH_MAX (default 3) per session.
+ * Throws with .status: 404, 409 (not pending / queued / elsewhere), 410 (expired), 429 (cap), 503 (busy).
+ */
+async function refreshPairCode(session_id, { actor } = {}) {
+  if (REFRESHING.has(session_id)) throw httpError(409, "A new code is already being requested");
+  REFRESHING.add(session_id);
+
+  let reserved = null;
+  try {
+    const st = await loadStatus(session_id);
+    if (!st) throw httpError(404, "Session not found");
+    if (st.mode === "qr") throw httpError(409, "QR sessions get fresh QRs on their own");
+    if (st.status === "expired") throw httpError(410, "Session expired, start a new pairing");
+    if (st.status !== "pending") throw httpError(409, `Session is ${st.status}`);
+    if (scheduler.position(session_id) > 0) throw httpError(409, "Session is still queued");
+
+    const refreshes = st.code_refreshes || 0;
+    if (refreshes >= PAIR_CODE_REFRESH_MAX) {
+      throw httpError(429, `No more new codes for this session (max ${PAIR_CODE_REFRESH_MAX}), start a new pairing`);
+    }
+
+    // a socket to rebuild takes the number again: hold it so no new pairing starts meanwhile
+    const live = PAIR_SOCKETS.get(session_id);
+    if (!live) {
+      if (!reservePhone(st.phone, session_id)) throw httpError(409, "A pairing for this number is already in progress");
+      reserved = st.phone;
+    }
+    await takeLimits({ phone: st.phone });
+
+    let code;
+    if (live) {
+      try {
+        code = await requestPairCode(live, st.phone, 3, onCodeRetry(session_id));
+      } catch (e) {
+        PAIR_METRICS.codeFailures.inc();
+        throw e;
+      }
+    } else {
+      if (!(await cluster.claim(session_id))) throw httpError(409, "Session is handled by another instance");
+
+      const slot = scheduler.acquire(session_id);
+      if (slot.position > 0) {
+        slot.ready.catch(() => {});
+        scheduler.release(session_id);
+        await cluster.release(session_id);
+        throw httpError(503, "All pairing slots are busy, try again shortly");
+      }
+      PENDING_PHONES.set(st.phone, session_id);
+      code = await openPairSocket(session_id, st.phone);
+    }
+
+    const expires_at = Date.now() + SESSION_TTL_MS;
+    const cur = readStatus(session_id) || st;
+    writeStatus(session_id, {
+      ...cur,
+      code,
+      expires_at,
+      code_refreshes: refreshes + 1,
+      code_refreshed_at: Date.now(),
+    });
+    armExpiry(session_id, expires_at);
+
+    PAIR_METRICS.codeRefreshes.inc();
+    progress.emitStage(session_id, "code_issued", { code, expires_at, refresh: refreshes + 1 });
+    audit.record("session.code_refreshed", { session_id, actor, details: { mode: "pair" } });
+
+    return { session_id, code, expires_at, refreshes_left: PAIR_CODE_REFRESH_MAX - refreshes - 1 };
+  } finally {
+    REFRESHING.delete(session_id);
+    if (reserved) RESERVED_PHONES.delete(reserved);
+  }
+}
+
+/**
+ * Pairing-code login. Throws with status 409 while the number already has a pairing
+ * in flight, 503 when the scheduler queue is full.
+ */
+async function startPairing(num, fields = {}, { waitForSlot = false, actor } = {}) {
+  return countOutcome("pair", async () => {
+    if (!reservePhone(num)) throw httpError(409, "A pairing for this number is already in progress");
     try {
-      const st2 = readStatus(session_id);
-      if (st2 && st2.status !== "ready") writeStatus(session_id, { ...st2, status: "expired" });
-    } catch (_) {}
+      await takeLimits({ phone: num });
+    } catch (e) {
+      RESERVED_PHONES.delete(num);
+      throw e;
+    }
 
-    const s = PAIR_SOCKETS.get(session_id);
-    if (s) {
-      safeEnd(s);
-      PAIR_SOCKETS.delete(session_id);
+    const session_id = makeSessionId();
+    const slot = scheduler.acquire(session_id);
+    const { expires_at } = createSession({ mode: "pair", phone: num, ...fields }, session_id);
+    PENDING_PHONES.set(num, session_id);
+    RESERVED_PHONES.delete(num);
+    audit.record("session.created", { session_id, actor, details: { mode: "pair", ...fields } });
+
+    return scheduleLogin(session_id, expires_at, slot, (id) => issuePairCode(id, num, expires_at), waitForSlot);
+  });
+}
+
+async function openQrLogin(session_id, expires_at, firstQrTimeoutMs) {
+  let qr_count = 0;
+  let resolveFirst;
+  const firstQr = new Promise((resolve) => (resolveFirst = resolve));
+
+  let sock;
+  try {
+    sock = await openLoginSocket(session_id, {
+      onQr: async (raw) => {
+        const qr = await QRCode.toDataURL(raw, { margin: 1, width: 320 });
+        qr_count++;
+
+        const st = readStatus(session_id) || {};
+        writeStatus(session_id, { ...st, qr, qr_count, qr_at: Date.now() });
+        progress.emitStage(session_id, "qr", { qr, qr_count });
+        if (qr_count === 1) PAIR_METRICS.timeToCode.observe({ mode: "qr" }, sinceCreated(st));
+        resolveFirst(qr);
+      },
+    });
+  } catch (e) {
+    progress.emitStage(session_id, "error", { error: e?.message || "Failed to open QR login" });
+    forgetSocket(session_id);
+    throw e;
+  }
+
+  const timer = setTimeout(() => resolveFirst(null), firstQrTimeoutMs);
+  const first = await firstQr;
+  clearTimeout(timer);
+
+  if (!first) {
+    progress.emitStage(session_id, "error", { error: "No QR code received from WhatsApp" });
+    safeEnd(sock);
+    forgetSocket(session_id);
+    throw new Error("No QR code received from WhatsApp");
+  }
+
+  return { session_id, qr: first, expires_at };
+}
+
+/**
+ * QR login on the same machinery. Resolves with the first QR as a data URL;
+ * WhatsApp rotates the QR every ~20s, later ones land in the status record
+ * (GET /api/status/:id -> qr) and on the event stream (stage "qr").
+ */
+async function startQrLogin({ fields = {}, firstQrTimeoutMs = 30_000, waitForSlot = false, actor } = {}) {
+  return countOutcome("qr", async () => {
+    const session_id = makeSessionId();
+    const slot = scheduler.acquire(session_id);
+    const { expires_at } = createSession({ mode: "qr", ...fields }, session_id);
+    audit.record("session.created", { session_id, actor, details: { mode: "qr", ...fields } });
+
+    return scheduleLogin(session_id, expires_at, slot, (id) => openQrLogin(id, expires_at, firstQrTimeoutMs), waitForSlot);
+  });
+}
+
+/**
+ * Shared-state mode: resumes a pending session whose node went away (see cluster.js).
+ * Pairing-code sessions get a fresh code for the same number, QR sessions fresh QRs;
+ * clients see it on /api/status/:id. False when the lease or a slot cannot be had.
+ */
+async function takeoverSession(session_id) {
+  const st = await loadStatus(session_id);
+  if (!st || st.status !== "pending" || PAIR_SOCKETS.has(session_id)) return false;
+  if (st.mode !== "qr" && !st.phone) return false;
+  if (!(await cluster.claim(session_id))) return false;
+
+  let slot;
+  try {
+    slot = scheduler.acquire(session_id);
+  } catch (_) {
+    slot = null;
+  }
+  if (!slot || slot.position > 0) {
+    slot?.ready.catch(() => {});
+    scheduler.release(session_id);
+    await cluster.release(session_id);
+    return false;
+  }
+
+  writeStatus(session_id, { ...st, node_id: cluster.NODE_ID, taken_over_at: Date.now() });
+  progress.emitStage(session_id, "taken_over", { node_id: cluster.NODE_ID });
+  audit.record("session.taken_over", { session_id, details: { mode: st.mode } });
+  armExpiry(session_id, st.expires_at);
+
+  const open =
+    st.mode === "qr"
+      ? openQrLogin(session_id, st.expires_at, 30_000)
+      : issuePairCode(session_id, st.phone, st.expires_at);
+  open.catch((e) => console.warn("[takeover]", session_id, e?.message || e));
+  return true;
+}
+
+/* =========================
+ * Session admin
+ * ========================= */
+
+/**
+ * Reconnects with a session's stored auth state and resolves once the socket is open.
+ * Rejects with the disconnect error (output.statusCode 401 = logged out) or a timeout.
+ * Creds are not written back: this is a short-lived check, not a login.
+ */
+async function connectStoredSession(session_id, timeoutMs = 20_000) {
+  const { state } = await useStoreAuthState(await sessionFiles(session_id));
+  const sock = await makeSocket(state);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("Timed out connecting to WhatsApp")), timeoutMs);
+      sock.ev.on("connection.update", (u) => {
+        if (u?.connection === "open") {
+          clearTimeout(timer);
+          resolve();
+        }
+        if (u?.connection === "close") {
+          clearTimeout(timer);
+          reject(u.lastDisconnect?.error || new Error("Connection closed"));
+        }
+      });
+    });
+  } catch (e) {
+    safeEnd(sock);
+    throw e;
+  }
+  return sock;
+}
+
+/**
+ * Logs the linked device out of WhatsApp where possible.
+ * Returns "logged_out", "already_logged_out", "not_linked" or "unreachable".
+ */
+async function logoutSession(session_id) {
+  const live = PAIR_SOCKETS.get(session_id);
+  if (live) {
+    forgetSocket(session_id);
+    try {
+      await live.logout();
+      return "logged_out";
+    } catch (_) {
+      // not linked yet / already gone: fall through to the stored creds
+    } finally {
+      safeEnd(live);
     }
-  }, ttlMs).unref?.();
+  }
 
-  return { session_id, code, expires_at };
+  if (!(await isRegisteredSession(session_id))) return "not_linked";
+
+  let sock = null;
+  try {
+    sock = await connectStoredSession(session_id);
+    await sock.logout();
+    return "logged_out";
+  } catch (e) {
+    if (e?.output?.statusCode === DisconnectReason.loggedOut) return "already_logged_out";
+    console.warn("[logoutSession]", session_id, e?.message || e);
+    return "unreachable";
+  } finally {
+    safeEnd(sock);
+  }
+}
+
+/* =========================
+ * Health checks
+ * ========================= */
+const VERIFY_TIMEOUT_MS = config.get().verifyTimeoutMs;
+const VERIFY_MIN_INTERVAL_MS = config.get().verifyMinIntervalMs;
+const VERIFYING = new Map(); // session_id -> in-flight check
+
+async function runVerify(session_id, actor, trigger) {
+  if (PAIR_SOCKETS.has(session_id) || scheduler.position(session_id) > 0) {
+    throw httpError(409, "Session is still pairing");
+  }
+  if (!(await isRegisteredSession(session_id))) throw httpError(409, "Session is not linked");
+  if (!(await cluster.claim(session_id))) throw httpError(409, "Session is being checked on another instance");
+
+  let result = "valid";
+  let error = null;
+  let sock = null;
+  try {
+    sock = await connectStoredSession(session_id, VERIFY_TIMEOUT_MS);
+  } catch (e) {
+    result = e?.output?.statusCode === DisconnectReason.loggedOut ? "logged_out" : "unreachable";
+    error = e?.message || String(e);
+  } finally {
+    safeEnd(sock);
+    cluster.release(session_id).catch((e) => console.warn("[lease release]", e?.message || e));
+  }
+
+  const checked_at = Date.now();
+  const st = (await loadStatus(session_id)) || {};
+  const lost = result === "logged_out" && st.status !== "logged_out";
+  const next = {
+    ...st,
+    health: result,
+    health_checked_at: checked_at,
+    ...(result === "valid" ? { health_ok_at: checked_at } : {}),
+    ...(lost ? { status: "logged_out", logged_out_at: checked_at } : {}),
+  };
+  writeStatus(session_id, next);
+
+  VERIFY_METRICS.inc({ result, trigger });
+  audit.record("session.verified", { session_id, actor, details: { status: result, reason: trigger } });
+  if (lost) webhooks.notify(session_id, "session.logged_out");
+
+  return {
+    result,
+    status: next.status,
+    checked_at,
+    ...(result === "unreachable" ? { error } : {}),
+  };
+}
+
+/**
+ * Reconnects briefly with the stored auth state and records the outcome on the status record
+ * (health, health_checked_at):
+ *   valid        WhatsApp accepted the creds
+ *   logged_out   401, the device was removed: status -> logged_out, session.logged_out webhook
+ *   unreachable  anything else (network, timeout); the status is left as it was
+ * Resolves { result, status, checked_at, error? }. Throws with .status 409 when the session
+ * cannot be checked (still pairing, not linked, checked elsewhere). Concurrent calls share one check.
+ */
+function verifySession(session_id, { actor = audit.systemActor(), trigger = "api" } = {}) {
+  if (!VERIFYING.has(session_id)) {
+    const p = runVerify(session_id, actor, trigger).finally(() => VERIFYING.delete(session_id));
+    VERIFYING.set(session_id, p);
+  }
+  return VERIFYING.get(session_id);
+}
+
+function liveSockets() {
+  return [...PAIR_SOCKETS.keys()].map((session_id) => {
+    const st = readStatus(session_id) || {};
+    return {
+      session_id,
+      mode: st.mode,
+      phone: st.phone,
+      status: st.status,
+      created_at: st.created_at,
+      expires_at: st.expires_at,
+    };
+  });
+}
+
+/* =========================
+ * Imports
+ * ========================= */
+
+/**
+ * Stores creds made elsewhere (importer.js parseImport output) as a new ready session: same
+ * sessions/<id> files and status record as a pairing that linked, download token included.
+ * verify: reconnect once first (like POST /api/session/:id/verify); logged-out creds are
+ * dropped with a 422, unreachable ones are kept with health "unreachable".
+ * Resolves { session_id, phone, status, download_token, download_expires_at, verify? }.
+ */
+async function importSession(parsed, fields = {}, { verify = false, actor } = {}) {
+  const { format, files, phone } = parsed;
+  const session_id = makeSessionId();
+
+  const store = await sessionFiles(session_id);
+  for (const f of files) await store.write(f.name, f.data);
+
+  let health = null;
+  if (verify) {
+    let result = "valid";
+    let error = null;
+    let sock = null;
+    try {
+      sock = await connectStoredSession(session_id, VERIFY_TIMEOUT_MS);
+    } catch (e) {
+      result = e?.output?.statusCode === DisconnectReason.loggedOut ? "logged_out" : "unreachable";
+      error = e?.message || String(e);
+    } finally {
+      safeEnd(sock);
+    }
+    VERIFY_METRICS.inc({ result, trigger: "import" });
+
+    if (result === "logged_out") {
+      await purgeSession(session_id);
+      IMPORT_METRICS.inc({ format, outcome: "rejected" });
+      throw httpError(422, "WhatsApp rejected these creds: the device was logged out");
+    }
+    health = { result, checked_at: Date.now(), ...(error ? { error } : {}) };
+  }
+
+  const created_at = Date.now();
+  const st = {
+    mode: "import",
+    phone,
+    created_at,
+    import_format: format,
+    ...fields,
+    ...(health
+      ? {
+          health: health.result,
+          health_checked_at: health.checked_at,
+          ...(health.result === "valid" ? { health_ok_at: health.checked_at } : {}),
+        }
+      : {}),
+  };
+  const download = markReady(session_id, st);
+
+  IMPORT_METRICS.inc({ format, outcome: "imported" });
+  audit.record("session.imported", { session_id, actor, details: { mode: "import", format } });
+  if (health) {
+    audit.record("session.verified", { session_id, actor, details: { status: health.result, reason: "import" } });
+  }
+
+  return { session_id, phone, status: "ready", ...download, ...(health ? { verify: health } : {}) };
+}
+
+/* =========================
+ * Janitor
+ * ========================= */
+const janitorHooks = {
+  isLive: (session_id) => PAIR_SOCKETS.has(session_id) || scheduler.position(session_id) > 0,
+  expire: expireSession,
+  takeover: takeoverSession,
+  ttlMs: SESSION_TTL_MS,
+};
+
+function startJanitor() {
+  janitor.start(janitorHooks);
+}
+
+// VERIFY_RECHECK_HOURS: re-check recently issued sessions now and then (verifier.js)
+function startVerifier() {
+  verifier.start({ verify: (session_id) => verifySession(session_id, { trigger: "scheduled" }) });
+}
+
+// shared-state mode: keep the leases of this node's sockets and queued sessions alive
+function startCluster() {
+  cluster.start(() => [...new Set([...PAIR_SOCKETS.keys(), ...scheduler.sessions()])]);
 }
 
 /* =========================
  * Routes
  * ========================= */
 
-router.post("/pair", pairLimiter, requireSecret, async (req, res) => {
+router.post("/pair", pairLimiter, requireScope("pair"), keyLimiter, async (req, res) => {
   try {
     const raw = req.body?.number || req.body?.phone || req.body?.num;
-    const num = normalizeNumber(raw);
-    if (!num) return res.status(400).json({ ok: false, error: "Invalid phone number" });
+    const phone = validatePhone(raw, { country: req.body?.country });
+    if (!phone.ok) {
+      PAIR_METRICS.requests.inc({ mode: "pair", outcome: "invalid" });
+      return res.status(400).json({ ok: false, error: phone.error });
+    }
 
-    const out = await startPairing(num);
+    const callback_url = req.body?.callback_url;
+    const badCallback = callback_url && (await webhooks.checkCallbackUrl(callback_url));
+    if (badCallback) {
+      return res.status(400).json({ ok: false, error: `Invalid callback_url: ${badCallback}` });
+    }
+
+    const locale = welcome.localeFromRequest(req);
+    const out = await startPairing(
+      phone.number,
+      {
+        country: phone.country.iso,
+        ...(locale ? { locale } : {}),
+        ...ownerFields(req.principal),
+        ...(callback_url ? { callback_url } : {}),
+      },
+      { actor: audit.actorFrom(req) }
+    );
+    return res.status(out.queued ? 202 : 200).json({ ok: true, ...out, phone: phone.e164, country: phone.country });
+  } catch (e) {
+    if (!e?.status) console.error("[api/pair]", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "Pairing service failed", ...limited(res, e) });
+  }
+});
+
+// POST /api/pair/:id/refresh -> new code for a pending pairing (same session, expires_at extended)
+router.post("/pair/:id/refresh", requireScope("pair"), keyLimiter, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await loadStatus(id);
+    if (!st || !canAccess(req.principal, st)) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    const out = await refreshPairCode(id, { actor: audit.actorFrom(req) });
     return res.json({ ok: true, ...out });
   } catch (e) {
-    console.error("[api/pair]", e);
-    return res.status(500).json({ ok: false, error: e?.message || "Pairing service failed" });
+    if (!e?.status) console.error("[api/pair/refresh]", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "Could not get a new code", ...limited(res, e) });
   }
 });
 
-// Legacy: GET /api/code?number=...
-router.get("/code", async (req, res) => {
+// POST /api/qr -> first QR as a data URL; refreshed ones via /api/status/:id or /api/events/:id
+router.post("/qr", pairLimiter, requireScope("pair"), keyLimiter, async (req, res) => {
   try {
-    const num = normalizeNumber(req.query?.number);
-    if (!num) return res.status(400).json({ code: "Invalid number" });
+    const callback_url = req.body?.callback_url;
+    const badCallback = callback_url && (await webhooks.checkCallbackUrl(callback_url));
+    if (badCallback) {
+      return res.status(400).json({ ok: false, error: `Invalid callback_url: ${badCallback}` });
+    }
 
-    const out = await startPairing(num);
-    return res.json({ code: out.code, session_id: out.session_id, expires_at: out.expires_at });
+    const locale = welcome.localeFromRequest(req);
+    const out = await startQrLogin({
+      fields: {
+        ...(locale ? { locale } : {}),
+        ...ownerFields(req.principal),
+        ...(callback_url ? { callback_url } : {}),
+      },
+      actor: audit.actorFrom(req),
+    });
+    return res.status(out.queued ? 202 : 200).json({ ok: true, ...out });
   } catch (e) {
-    console.error("[api/code]", e);
-    return res.status(500).json({ code: "Service Unavailable" });
+    if (!e?.status) console.error("[api/qr]", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "QR service failed" });
   }
 });
 
+// GET /api/health -> liveness only (no dependency is touched)
+router.get("/health", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  return res.json({ ...health.liveness(), node_id: cluster.NODE_ID });
+});
+
+// WhatsApp Web version for /api/ready: a failed fetch still pairs with the bundled version
+async function checkWhatsApp() {
+  const version = await baileysVersion();
+  if (_versionError) throw new Error(`Latest WhatsApp Web version unavailable (${_versionError}), using ${version.join(".")}`);
+  return { driver: wa.driver().name, version: version.join(".") };
+}
+
+// GET /api/ready -> 200 when every critical dependency answers, 503 otherwise; per-check details (health.js)
+router.get("/ready", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const out = await health.readiness([{ name: "whatsapp", check: checkWhatsApp, critical: false }]);
+    return res.status(out.ok ? 200 : 503).json({ ...out, node_id: cluster.NODE_ID });
+  } catch (e) {
+    console.error("[api/ready]", e);
+    return res.status(503).json({ ok: false, status: "not_ready", error: e?.message || "readiness failed" });
+  }
+});
+
+// GET /api/phone?number=...&country=NG -> validation only (pair.html checks as you type)
+router.get("/phone", (req, res) => {
+  const phone = validatePhone(req.query?.number, { country: req.query?.country });
+  return res.status(phone.ok ? 200 : 400).json(phone);
+});
+
 // GET /api/status/:id
-router.get("/status/:id", async (req, res) => {
+router.get("/status/:id", requireScope("status"), async (req, res) => {
   try {
     const id = req.params.id;
 
-    let st = readStatus(id);
-    if (!st) {
-      const d = await dbGet(id);
-      if (!d) return res.status(404).json({ ok: false, status: "missing" });
-      st = { status: d.status, created_at: d.created_at, expires_at: d.expires_at, code: d.code, phone: d.phone };
-    }
-
-    // upgrade to ready if creds are registered
-    if (st.status !== "ready" && isRegisteredSession(id)) {
-      writeStatus(id, { ...st, status: "ready" });
-      return res.json({ ok: true, ...readStatus(id) });
+    // other accounts' sessions look missing
+    const st = await loadStatus(id);
+    if (!st || !canAccess(req.principal, st)) return res.status(404).json({ ok: false, status: "missing" });
+
+    // upgrade to ready if creds are registered and no socket is left to do it
+    // (a live one finalizes itself and puts the download token in the welcome DM)
+    if (
+      !["ready", "revoked", "claimed", "logged_out"].includes(st.status) &&
+      !PAIR_SOCKETS.has(id) &&
+      !(await cluster.owner(id)) &&
+      (await isRegisteredSession(id))
+    ) {
+      markReady(id, st);
+      return res.json({ ok: true, ...tokens.stripTokenFields(readStatus(id)) });
     }
 
-    return res.json({ ok: true, ...st });
+    // waiting for a pairing slot (see scheduler.js)
+    const queue_position = scheduler.position(id);
+    return res.json({ ok: true, ...tokens.stripTokenFields(st), ...(queue_position ? { queue_position } : {}) });
   } catch (e) {
     return res.status(500).json({ ok: false, error: "status failed" });
   }
 });
 
-// GET /api/session/:id  -> zip as base64
-router.get("/session/:id", async (req, res) => {
+// GET /api/events/:id  -> Server-Sent Events with live pairing progress
+// (EventSource cannot set headers: pass ?secret=<password or API key>)
+router.get("/events/:id", requireScope("status"), async (req, res) => {
+  const id = req.params.id;
+
+  const st = await loadStatus(id);
+  if (!st || !canAccess(req.principal, st)) return res.status(404).json({ ok: false, status: "missing" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const snapshot = (rec) =>
+    send("status", {
+      ok: true,
+      session_id: id,
+      status: rec.status,
+      created_at: rec.created_at,
+      expires_at: rec.expires_at,
+      mode: rec.mode,
+      code: rec.code,
+      qr: rec.qr,
+      queue_position: scheduler.position(id) || undefined,
+    });
+
+  // snapshot first, then whatever already happened, then live stages
+  snapshot(st);
+  for (const ev of progress.history(id)) send(ev.stage, ev);
+
+  const off = progress.subscribe(id, (ev) => send(ev.stage, ev));
+  const ping = setInterval(() => res.write(": ping\n\n"), 15_000);
+
+  // shared-state mode: the socket may live on another node, whose stages never reach
+  // this process; follow the shared status record instead
+  let seen = st.updated_at;
+  const follow = cluster.enabled()
+    ? setInterval(async () => {
+        if (PAIR_SOCKETS.has(id)) return;
+        const rec = await loadStatus(id).catch(() => null);
+        if (rec && rec.updated_at !== seen) {
+          seen = rec.updated_at;
+          snapshot(rec);
+        }
+      }, 2_000)
+    : null;
+
+  req.on("close", () => {
+    clearInterval(ping);
+    clearInterval(follow);
+    off();
+  });
+});
+
+// GET /api/session/:id?token=dl_...[&format=zip|tgz|creds-json|creds-b64|string][&encoding=json|binary]
+//  json (default): { format, filename, size, sha256, files?, data } (+ zip_base64 / session_string as before)
+//  binary: the file itself, Content-Disposition + X-Checksum-SHA256 headers
+// Formats: bundle.js. The token (X-DOWNLOAD-TOKEN header or ?token=) is single use, see tokens.js
+router.get("/session/:id", requireScope("download"), async (req, res) => {
   try {
     const id = req.params.id;
 
-    const sessPath = path.join(SESS_DIR, id);
-    if (!fs.existsSync(sessPath)) return res.status(404).json({ ok: false, error: "Session not found" });
+    const format = String(req.query?.format || "zip");
+    const encoding = String(req.query?.encoding || "json");
+    if (!bundle.FORMATS[format]) {
+      return res.status(400).json({ ok: false, error: `format must be one of ${Object.keys(bundle.FORMATS).join(", ")}` });
+    }
+    if (encoding !== "json" && encoding !== "binary") {
+      return res.status(400).json({ ok: false, error: "encoding must be json or binary" });
+    }
+
+    const st = await loadStatus(id);
+    const denied = (reason) =>
+      audit.record("session.download_denied", { session_id: id, actor: audit.actorFrom(req), details: { reason } });
+
+    if (!canAccess(req.principal, st)) {
+      denied("other_account");
+      return res.status(404).json({ ok: false, error: "Session not found" });
+    }
+    if (st?.status === "revoked") {
+      denied("revoked");
+      return res.status(410).json({ ok: false, error: "Session revoked" });
+    }
+    if (st?.status === "claimed") {
+      denied("claimed");
+      return res.status(410).json({ ok: false, error: "Session already claimed" });
+    }
+    if (st?.status === "logged_out") {
+      denied("logged_out");
+      return res.status(410).json({ ok: false, error: "Session was logged out of WhatsApp" });
+    }
+
+    const files = await (await sessionFiles(id)).list();
+    if (!files.length) return res.status(404).json({ ok: false, error: "Session not found" });
 
     // only allow after registered
-    if (!isRegisteredSession(id)) {
+    if (!(await isRegisteredSession(id))) {
       return res.status(409).json({ ok: false, error: "Session not ready yet" });
     }
 
-    const zipBuf = await zipFolderToBuffer(sessPath);
-    return res.json({ ok: true, session_id: id, zip_base64: zipBuf.toString("base64") });
+    // single use: the token is spent (atomically in the backend, tokens.consume) before
+    // anything else is awaited, so concurrent requests with one token get one download.
+    // A bundle that then fails to build costs the token (an admin can issue a new one).
+    const cur = cluster.enabled() ? (await loadStatus(id)) || st : readStatus(id) || st;
+    const bad = tokens.check(cur, tokens.provided(req));
+    if (bad) {
+      denied(`token_${bad}`);
+      return res.status(403).json({ ok: false, error: `Download token ${bad}` });
+    }
+
+    const now = Date.now();
+    if (!(await tokens.consume(id, cur, now))) {
+      denied("token_used");
+      return res.status(403).json({ ok: false, error: "Download token used" });
+    }
+
+    // the janitor's retention window (SESSION_RETENTION_HOURS) counts from the first download
+    writeStatus(id, {
+      ...cur,
+      token_used_at: now,
+      downloaded_at: cur.downloaded_at || now,
+      downloads: (cur.downloads || 0) + 1,
+      ...(tokens.claimOnDownload() ? { status: "claimed", claimed_at: now } : {}),
+    });
+
+    const out = await bundle.buildBundle(id, files, format);
+    audit.record("session.downloaded", {
+      session_id: id,
+      actor: audit.actorFrom(req),
+      details: { format, encoding },
+    });
+
+    // one policy for every format: sealed with EXPORT_ENC_KEY when set (bots open it with
+    // vault.openWith), else plain. Never with the at-rest SESSION_ENC_KEY, which stays here.
+    const sealed = process.env.EXPORT_ENC_KEY ? vault.sealWith(process.env.EXPORT_ENC_KEY, out.body) : null;
+    const checksums = { size: out.size, sha256: out.sha256, ...(out.files ? { files: out.files } : {}) };
+
+    if (encoding === "binary") {
+      res.set({
+        "Content-Type": sealed ? "application/json" : out.content_type,
+        "Content-Disposition": `attachment; filename="${sealed ? `${out.filename}.sealed.json` : out.filename}"`,
+        "Cache-Control": "no-store",
+        // of the plain bytes, also when sealed (check after vault.openWith)
+        "X-Checksum-SHA256": out.sha256,
+      });
+      return res.send(sealed ? Buffer.from(sealed) : out.body);
+    }
+
+    const meta = { ok: true, session_id: id, format, filename: out.filename, content_type: out.content_type, ...checksums };
+    if (sealed) {
+      return res.json({ ...meta, encrypted: true, sealed, ...(format === "zip" ? { zip_sealed: sealed } : {}) });
+    }
+    if (out.paste || format === "creds-json") {
+      const text = out.body.toString("utf-8");
+      return res.json({ ...meta, data: text, data_encoding: "utf8", ...(format === "string" ? { session_string: text } : {}) });
+    }
+    const b64 = out.body.toString("base64");
+    return res.json({ ...meta, data: b64, data_encoding: "base64", ...(format === "zip" ? { zip_base64: b64 } : {}) });
   } catch (e) {
     console.error("[api/session]", e);
     return res.status(500).json({ ok: false, error: "Failed to package session" });
   }
 });
 
+// POST /api/session/import { data, format?, verify? } -> new ready session from existing creds
+// (creds.json, its base64, a base64 zip of the auth folder or a LORDKARMA~ string, see importer.js)
+router.post("/session/import", pairLimiter, requireScope("pair"), keyLimiter, async (req, res) => {
+  let parsed;
+  try {
+    parsed = importer.parseImport({ data: req.body?.data, format: req.body?.format });
+  } catch (e) {
+    IMPORT_METRICS.inc({ format: req.body?.format || "unknown", outcome: "rejected" });
+    return res.status(e?.status || 400).json({ ok: false, error: e?.message || "Bad import" });
+  }
+
+  try {
+    const callback_url = req.body?.callback_url;
+    const badCallback = callback_url && (await webhooks.checkCallbackUrl(callback_url));
+    if (badCallback) {
+      return res.status(400).json({ ok: false, error: `Invalid callback_url: ${badCallback}` });
+    }
+
+    const locale = welcome.localeFromRequest(req);
+    const verify = req.body?.verify === true || req.body?.verify === "true";
+    const out = await importSession(
+      parsed,
+      {
+        ...(locale ? { locale } : {}),
+        ...ownerFields(req.principal),
+        ...(callback_url ? { callback_url } : {}),
+      },
+      { verify, actor: audit.actorFrom(req) }
+    );
+    return res.json({ ok: true, ...out });
+  } catch (e) {
+    if (!e?.status) console.error("[api/session/import]", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "Import failed" });
+  }
+});
+
+// POST /api/session/:id/verify -> reconnect briefly with the stored creds: valid | logged_out | unreachable
+router.post("/session/:id/verify", requireScope("status"), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await loadStatus(id);
+    if (!st || !canAccess(req.principal, st)) return res.status(404).json({ ok: false, error: "Session not found" });
+    if (st.status === "revoked") return res.status(410).json({ ok: false, error: "Session revoked" });
+
+    // each check briefly kicks a bot running on the session: a fresh result is served as is
+    if (st.health && Date.now() - (st.health_checked_at || 0) < VERIFY_MIN_INTERVAL_MS) {
+      return res.json({
+        ok: true,
+        session_id: id,
+        result: st.health,
+        status: st.status,
+        checked_at: st.health_checked_at,
+        cached: true,
+      });
+    }
+
+    const r = await verifySession(id, { actor: audit.actorFrom(req), trigger: "api" });
+    return res.json({ ok: true, session_id: id, ...r, cached: false });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[api/verify]", e);
+    return res.status(500).json({ ok: false, error: "verify failed" });
+  }
+});
+
+/* =========================
+ * Admin: sessions
+ * ========================= */
+
+// GET /api/admin/overview -> counts by status + live sockets + pairing queue
+router.get("/admin/overview", requireAdmin, async (req, res) => {
+  try {
+    const counts = {};
+    for (const st of await listStatuses()) counts[st.status || "unknown"] = (counts[st.status || "unknown"] || 0) + 1;
+    const shared = cluster.enabled()
+      ? { enabled: true, node_id: cluster.NODE_ID, leases: await cluster.liveLeases() }
+      : { enabled: false, node_id: cluster.NODE_ID };
+    return res.json({
+      ok: true,
+      counts,
+      live: liveSockets(),
+      scheduler: scheduler.stats(),
+      cluster: shared,
+      janitor: janitor.stats,
+      verifier: { enabled: verifier.enabled(), ...verifier.stats },
+      limits: limits.settings(),
+      config: config.summary(),
+    });
+  } catch (e) {
+    console.error("[api/admin/overview]", e);
+    return res.status(500).json({ ok: false, error: "overview failed" });
+  }
+});
+
+// the named query params as strings: ?phone[$ne]=x must not reach a Mongo filter as an operator
+function queryStrings(req, names) {
+  const out = {};
+  for (const name of names) {
+    const v = req.query?.[name];
+    if (v != null && v !== "") out[name] = String(v);
+  }
+  return out;
+}
+
+// GET /api/admin/sessions?status=&phone=&from=&to=&limit=
+router.get("/admin/sessions", requireAdmin, async (req, res) => {
+  try {
+    const q = queryStrings(req, ["status", "phone", "from", "to", "limit"]);
+    const from = q.from ? Date.parse(q.from) || Number(q.from) : undefined;
+    const to = q.to ? Date.parse(q.to) || Number(q.to) : undefined;
+    const limit = Math.min(Number(q.limit) || 200, 1000);
+
+    const all = await listStatuses({ status: q.status, phone: q.phone, from, to });
+    const live = new Set(PAIR_SOCKETS.keys());
+    const sessions = all.slice(0, limit).map((st) => ({ ...st, live: live.has(st.session_id) }));
+
+    return res.json({ ok: true, total: all.length, sessions });
+  } catch (e) {
+    console.error("[api/admin/sessions]", e);
+    return res.status(500).json({ ok: false, error: "list failed" });
+  }
+});
+
+// GET /api/admin/sessions/:id -> status + what is stored
+router.get("/admin/sessions/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await loadStatus(id);
+    const files = await (await sessionFiles(id)).list();
+    if (!st && !files.length) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    return res.json({
+      ok: true,
+      session_id: id,
+      ...st,
+      registered: await isRegisteredSession(id),
+      files: files.map((f) => f.name).sort(),
+      live: PAIR_SOCKETS.has(id),
+      lease: await cluster.owner(id),
+      audit: await audit.query({ session_id: id, limit: 50 }),
+    });
+  } catch (e) {
+    console.error("[api/admin/session]", e);
+    return res.status(500).json({ ok: false, error: "inspect failed" });
+  }
+});
+
+// POST /api/admin/sessions/:id/revoke -> log the device out, keep the record as "revoked"
+router.post("/admin/sessions/:id/revoke", requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await loadStatus(id);
+    if (!st) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    const logout = await logoutSession(id);
+    writeStatus(id, { ...st, status: "revoked", revoked_at: Date.now() });
+    audit.record("session.revoked", { session_id: id, actor: audit.actorFrom(req), details: { logout } });
+    return res.json({ ok: true, session_id: id, logout });
+  } catch (e) {
+    console.error("[api/admin/revoke]", e);
+    return res.status(500).json({ ok: false, error: "revoke failed" });
+  }
+});
+
+// POST /api/admin/sessions/:id/token -> new one-time download token (replaces the previous one)
+router.post("/admin/sessions/:id/token", requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const st = await loadStatus(id);
+    if (!st) return res.status(404).json({ ok: false, error: "Session not found" });
+    if (st.status !== "ready") {
+      return res.status(409).json({ ok: false, error: `Session is ${st.status}, tokens are only issued for ready sessions` });
+    }
+
+    const { token, fields } = tokens.issue();
+    writeStatus(id, { ...st, ...fields });
+    audit.record("session.token_issued", { session_id: id, actor: audit.actorFrom(req), details: { reason: "admin" } });
+    return res.json({ ok: true, session_id: id, download_token: token, download_expires_at: fields.token_expires_at });
+  } catch (e) {
+    console.error("[api/admin/token]", e);
+    return res.status(500).json({ ok: false, error: "token failed" });
+  }
+});
+
+// POST /api/admin/janitor/run -> sweep now, returns the counters
+router.post("/admin/janitor/run", requireAdmin, async (req, res) => {
+  try {
+    return res.json({ ok: true, janitor: await janitor.sweep(janitorHooks) });
+  } catch (e) {
+    console.error("[api/admin/janitor]", e);
+    return res.status(500).json({ ok: false, error: "janitor failed" });
+  }
+});
+
+// DELETE /api/admin/sessions/:id[?logout=0] -> log out (unless logout=0), then purge files + records
+router.delete("/admin/sessions/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const logout = req.query?.logout === "0" ? "skipped" : await logoutSession(id);
+
+    const s = PAIR_SOCKETS.get(id);
+    if (s) {
+      safeEnd(s);
+      forgetSocket(id);
+    }
+
+    await purgeSession(id);
+    audit.record("session.deleted", { session_id: id, actor: audit.actorFrom(req), details: { logout } });
+    return res.json({ ok: true, session_id: id, logout, deleted: true });
+  } catch (e) {
+    console.error("[api/admin/delete]", e);
+    return res.status(500).json({ ok: false, error: "delete failed" });
+  }
+});
+
+// GET /api/admin/audit?session_id=&event=&account_id=&key_id=&ip=&from=&to=&limit=
+router.get("/admin/audit", requireAdmin, async (req, res) => {
+  try {
+    const q = queryStrings(req, ["session_id", "event", "account_id", "key_id", "ip", "from", "to", "limit"]);
+    const from = q.from ? Date.parse(q.from) || Number(q.from) : undefined;
+    const to = q.to ? Date.parse(q.to) || Number(q.to) : undefined;
+    const entries = await audit.query({ ...q, from, to });
+    return res.json({ ok: true, entries });
+  } catch (e) {
+    console.error("[api/admin/audit]", e);
+    return res.status(500).json({ ok: false, error: "audit query failed" });
+  }
+});
+
+/* =========================
+ * Accounts + API keys (admin)
+ * ========================= */
+
+// POST /api/admin/accounts  body: { name }
+router.post("/admin/accounts", requireAdmin, async (req, res) => {
+  try {
+    const account = await accounts.createAccount({ name: req.body?.name });
+    audit.record("account.created", { actor: audit.actorFrom(req), details: account });
+    return res.json({ ok: true, account });
+  } catch (e) {
+    console.error("[api/admin/accounts]", e);
+    return res.status(500).json({ ok: false, error: "Failed to create account" });
+  }
+});
+
+// GET /api/admin/accounts  -> accounts with their keys (never the key itself)
+router.get("/admin/accounts", requireAdmin, async (req, res) => {
+  try {
+    return res.json({ ok: true, accounts: await accounts.listAccounts() });
+  } catch (e) {
+    console.error("[api/admin/accounts]", e);
+    return res.status(500).json({ ok: false, error: "Failed to list accounts" });
+  }
+});
+
+// POST /api/admin/accounts/:id/keys  body: { label, scopes: ["pair","status","download"] }
+router.post("/admin/accounts/:id/keys", requireAdmin, async (req, res) => {
+  try {
+    const account = await accounts.getAccount(req.params.id);
+    if (!account) return res.status(404).json({ ok: false, error: "Account not found" });
+
+    const { key, record } = await accounts.createKey(account.account_id, {
+      label: req.body?.label,
+      scopes: req.body?.scopes,
+    });
+    audit.record("key.created", { actor: audit.actorFrom(req), details: record });
+    // shown once; only the hash is stored
+    return res.json({ ok: true, key, ...record });
+  } catch (e) {
+    if (/scope/i.test(e?.message || "")) return res.status(400).json({ ok: false, error: e.message });
+    console.error("[api/admin/keys]", e);
+    return res.status(500).json({ ok: false, error: "Failed to create key" });
+  }
+});
+
+// DELETE /api/admin/keys/:keyId  -> revoke
+router.delete("/admin/keys/:keyId", requireAdmin, async (req, res) => {
+  try {
+    const revoked = await accounts.revokeKey(req.params.keyId);
+    if (!revoked) return res.status(404).json({ ok: false, error: "Key not found or already revoked" });
+    audit.record("key.revoked", { actor: audit.actorFrom(req), details: { key_id: req.params.keyId } });
+    return res.json({ ok: true, key_id: req.params.keyId, revoked: true });
+  } catch (e) {
+    console.error("[api/admin/keys]", e);
+    return res.status(500).json({ ok: false, error: "Failed to revoke key" });
+  }
+});
+
+// GET /api/admin/templates  -> stored (DB) locales, file locales, attach mode
+router.get("/admin/templates", requireAdmin, async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await welcome.listTemplates()) });
+  } catch (e) {
+    console.error("[api/admin/templates]", e);
+    return res.status(500).json({ ok: false, error: "Failed to list templates" });
+  }
+});
+
+// PUT /api/admin/templates/:locale  body: { text }
+router.put("/admin/templates/:locale", requireAdmin, async (req, res) => {
+  try {
+    const template = await welcome.saveTemplate(req.params.locale, req.body?.text);
+    const preview = welcome.render(template.text, {
+      session_id: "LK-0000000000000-XXXX",
+      phone: "+2348012345678",
+      bot_name: config.get().botName,
+    });
+    return res.json({ ok: true, template, preview });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e?.message || "Failed to save template" });
+  }
+});
+
+// DELETE /api/admin/templates/:locale  -> falls back to the file / built-in template
+router.delete("/admin/templates/:locale", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await welcome.deleteTemplate(req.params.locale);
+    if (!deleted) return res.status(404).json({ ok: false, error: "No stored template for that locale" });
+    return res.json({ ok: true, locale: req.params.locale, deleted: true });
+  } catch (e) {
+    console.error("[api/admin/templates]", e);
+    return res.status(500).json({ ok: false, error: "Failed to delete template" });
+  }
+});
+
 module.exports = router;
+// shared with app.js and the legacy /code and /qr routes (pair.js, qr.js)
+module.exports.startPairing = startPairing;
+module.exports.startQrLogin = startQrLogin;
+module.exports.startJanitor = startJanitor;
+module.exports.startCluster = startCluster;
+module.exports.startVerifier = startVerifier;
+module.exports.requireScope = requireScope;
+module.exports.pairLimiter = pairLimiter;
+module.exports.keyLimiter = keyLimiter;
+module.exports.limited = limited;
+module.exports.requireAdmin = requireAdmin;
+module.exports.ownerFields = ownerFields;
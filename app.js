@@ -4,12 +4,16 @@
 const express = require("express");
 const path = require("path");
 
+// env is checked before anything else loads: bad values stop the boot (config.js)
+const config = require("./config");
+config.get();
+
 require("events").EventEmitter.defaultMaxListeners = 500;
 
 const app = express();
 const ROOT = process.cwd();
 
-// Render/Vercel sit behind a proxy. Needed for express-rate-limit + correct IPs.
+// Render/Vercel sit behind a proxy. Needed for the per-IP limits (limits.js) + correct IPs.
 app.set("trust proxy", 1);
 
 // Body parsing
@@ -20,20 +24,34 @@ app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 const apiRouter = require("./api");
 app.use("/api", apiRouter);
 
+// Expire overdue records and clean abandoned session folders (startup + interval)
+apiRouter.startJanitor();
+
+// Shared-state mode (MongoDB): renew this node's session leases
+apiRouter.startCluster();
+
+// VERIFY_RECHECK_HOURS: periodically re-check that recently issued sessions are still linked
+apiRouter.startVerifier();
+
+// Prometheus scrape target (admin credential: X-SESSION-SECRET or Authorization: Bearer)
+const metrics = require("./metrics");
+app.get("/metrics", apiRouter.requireAdmin, (req, res) => {
+  res.set("Content-Type", metrics.CONTENT_TYPE);
+  res.set("Cache-Control", "no-store");
+  return res.send(metrics.render());
+});
+
 // Pages
 app.get("/", (req, res) => res.sendFile(path.join(ROOT, "index.html")));
 app.get("/pair", (req, res) => res.sendFile(path.join(ROOT, "pair.html")));
+app.get("/admin", (req, res) => res.sendFile(path.join(ROOT, "admin.html")));
 
-// Optional QR route (if present)
-try {
-  const qr = require("./qr");
-  app.use("/qr", qr);
-} catch (_) {}
+// Legacy QR route: PNG from the same QR login as POST /api/qr
+app.use("/qr", require("./qr"));
 
-// Legacy compatibility: /code -> /api/code
-app.get("/code", (req, res) => {
-  const qs = req.url.includes("?") ? req.url.slice(req.url.indexOf("?")) : "";
-  return res.redirect(302, "/api/code" + qs);
-});
+// Legacy pairing-code route ({ code }) at both of its old paths
+const legacyPair = require("./pair");
+app.use("/code", legacyPair);
+app.use("/api/code", legacyPair);
 
 module.exports = app;
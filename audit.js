@@ -0,0 +1,146 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const pino = require("pino");
+
+const { getCollection } = require("./db");
+const cluster = require("./cluster");
+
+/* =========================
+ * Audit trail
+ * =========================
+ * Append-only record of who did what to which session:
+ *   { at, event, session_id, actor: { type, ip, user_agent, account_id, key_id }, details }
+ *
+ * Events: session.created, session.imported, session.code_refreshed, session.linked, session.token_issued,
+ *         session.downloaded, session.download_denied, session.expired, session.taken_over, session.verified,
+ *         session.revoked, session.deleted,
+ *         account.created, key.created, key.revoked
+ *
+ * Written to MongoDB (`audit_log`) when configured, otherwise as JSON lines through a pino
+ * destination to AUDIT_LOG_FILE (default audit/audit.log). Nothing here is ever updated or deleted,
+ * and only whitelisted detail fields are kept: no codes, QRs, creds or keys.
+ */
+
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE || path.join(process.cwd(), "audit", "audit.log");
+
+const SAFE_DETAILS = [
+  "mode", "format", "country", "locale", "reason", "logout", "status",
+  "account_id", "key_id", "label", "scopes", "name",
+];
+
+let _file = null;
+let _indexed = false;
+
+function fileSink() {
+  if (!_file) _file = pino.destination({ dest: AUDIT_FILE, mkdir: true, sync: true });
+  return _file;
+}
+
+async function auditCollection() {
+  const col = await getCollection("audit_log");
+  if (col && !_indexed) {
+    _indexed = true;
+    try {
+      await col.createIndex({ session_id: 1, at: -1 });
+      await col.createIndex({ at: -1 });
+    } catch (_) {}
+  }
+  return col;
+}
+
+/**
+ * Who is behind a request: the resolved principal (api.js) plus IP and user agent.
+ */
+function actorFrom(req) {
+  const p = req.principal || {};
+  return {
+    type: p.type || "anonymous",
+    ip: req.ip || req.socket?.remoteAddress || null,
+    user_agent: String(req.headers?.["user-agent"] || "").slice(0, 256) || null,
+    account_id: p.account_id || null,
+    key_id: p.key_id || null,
+  };
+}
+
+// the portal itself (socket events, janitor)
+function systemActor() {
+  return { type: "system", node_id: cluster.NODE_ID };
+}
+
+function scrub(details = {}) {
+  const out = {};
+  for (const k of SAFE_DETAILS) if (details[k] !== undefined) out[k] = details[k];
+  return out;
+}
+
+/**
+ * Appends one entry. Never throws: a failed audit write is logged, not fatal.
+ */
+async function record(event, { session_id = null, actor = systemActor(), details } = {}) {
+  const entry = { at: Date.now(), event, session_id, actor, details: scrub(details) };
+
+  try {
+    const col = await auditCollection();
+    if (col) await col.insertOne({ ...entry });
+    else fileSink().write(JSON.stringify(entry) + "\n");
+  } catch (e) {
+    console.warn("[audit]", event, session_id, e?.message || e);
+  }
+  return entry;
+}
+
+function readFileEntries() {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(AUDIT_FILE, "utf-8");
+  } catch (_) {
+    return [];
+  }
+
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch (_) {}
+  }
+  return out;
+}
+
+/**
+ * Newest first. filters: { session_id, event, account_id, key_id, ip, from, to, limit }
+ */
+async function query({ session_id, event, account_id, key_id, ip, from, to, limit = 200 } = {}) {
+  const max = Math.min(Number(limit) || 200, 1000);
+
+  const col = await auditCollection();
+  if (col) {
+    const q = {};
+    if (session_id) q.session_id = session_id;
+    if (event) q.event = event;
+    if (account_id) q["actor.account_id"] = account_id;
+    if (key_id) q["actor.key_id"] = key_id;
+    if (ip) q["actor.ip"] = ip;
+    if (from || to) {
+      q.at = {};
+      if (from) q.at.$gte = Number(from);
+      if (to) q.at.$lte = Number(to);
+    }
+    return await col.find(q, { projection: { _id: 0 } }).sort({ at: -1 }).limit(max).toArray();
+  }
+
+  return readFileEntries()
+    .filter((e) => !session_id || e.session_id === session_id)
+    .filter((e) => !event || e.event === event)
+    .filter((e) => !account_id || e.actor?.account_id === account_id)
+    .filter((e) => !key_id || e.actor?.key_id === key_id)
+    .filter((e) => !ip || e.actor?.ip === ip)
+    .filter((e) => !from || e.at >= Number(from))
+    .filter((e) => !to || e.at <= Number(to))
+    .sort((a, b) => b.at - a.at)
+    .slice(0, max);
+}
+
+module.exports = { actorFrom, systemActor, record, query };
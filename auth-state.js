@@ -0,0 +1,184 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { getCollection } = require("./db");
+const config = require("./config");
+const vault = require("./vault");
+
+const { proto, initAuthCreds, BufferJSON } = require("@whiskeysockets/baileys");
+
+/* =========================
+ * File stores
+ * =========================
+ * A store holds the same files useMultiFileAuthState would write
+ * (creds.json, pre-key-1.json, ...) as JSON strings:
+ *   read(name) -> string | null
+ *   write(name, data)
+ *   remove(name)
+ *   list() -> [{ name, data }]
+ */
+
+function fsFiles(dir) {
+  return {
+    async read(name) {
+      try {
+        return await fs.promises.readFile(path.join(dir, name), "utf-8");
+      } catch (_) {
+        return null;
+      }
+    },
+
+    async write(name, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, name), data);
+    },
+
+    async remove(name) {
+      try {
+        await fs.promises.unlink(path.join(dir, name));
+      } catch (_) {}
+    },
+
+    async list() {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch (_) {
+        return [];
+      }
+      return await Promise.all(
+        names.map(async (name) => ({ name, data: await fs.promises.readFile(path.join(dir, name), "utf-8") }))
+      );
+    },
+  };
+}
+
+let _authIndexed = false;
+
+/**
+ * Collection holding one document per auth file:
+ * { session_id, file, data, updated_at }
+ * Returns null when MongoDB is not configured.
+ */
+async function authCollection() {
+  const col = await getCollection(config.get().mongo.authCollection);
+  if (col && !_authIndexed) {
+    _authIndexed = true;
+    try {
+      await col.createIndex({ session_id: 1, file: 1 }, { unique: true });
+    } catch (_) {}
+  }
+  return col;
+}
+
+function mongoFiles(col, session_id) {
+  return {
+    async read(name) {
+      const doc = await col.findOne({ session_id, file: name });
+      return doc ? doc.data : null;
+    },
+
+    async write(name, data) {
+      await col.updateOne(
+        { session_id, file: name },
+        { $set: { data, updated_at: Date.now() } },
+        { upsert: true }
+      );
+    },
+
+    async remove(name) {
+      await col.deleteOne({ session_id, file: name });
+    },
+
+    async list() {
+      const docs = await col.find({ session_id }).toArray();
+      return docs.map((d) => ({ name: d.file, data: d.data }));
+    },
+  };
+}
+
+/**
+ * Wraps a store so everything written is sealed with SESSION_ENC_KEY (when set).
+ * Plain files from before encryption was enabled are still read as-is.
+ */
+function sealedFiles(files) {
+  return {
+    async read(name) {
+      const raw = await files.read(name);
+      return raw == null ? null : vault.openText(raw);
+    },
+
+    async write(name, data) {
+      await files.write(name, vault.enabled() ? vault.seal(data) : data);
+    },
+
+    remove: (name) => files.remove(name),
+
+    async list() {
+      const all = await files.list();
+      return all.map((f) => ({ name: f.name, data: vault.openText(f.data) }));
+    },
+  };
+}
+
+/* =========================
+ * Baileys auth state
+ * ========================= */
+const fixFileName = (file) => file.replace(/\//g, "__").replace(/:/g, "-");
+
+/**
+ * Same contract as Baileys' useMultiFileAuthState, but on top of any file store.
+ */
+async function useStoreAuthState(files) {
+  const writeData = (data, file) => files.write(fixFileName(file), JSON.stringify(data, BufferJSON.replacer));
+
+  const readData = async (file) => {
+    try {
+      const raw = await files.read(fixFileName(file));
+      return raw == null ? null : JSON.parse(raw, BufferJSON.reviver);
+    } catch (_) {
+      return null;
+    }
+  };
+
+  const removeData = (file) => files.remove(fixFileName(file));
+
+  const creds = (await readData("creds.json")) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(
+            ids.map(async (id) => {
+              let value = await readData(`${type}-${id}.json`);
+              if (type === "app-state-sync-key" && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              }
+              data[id] = value;
+            })
+          );
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const file = `${category}-${id}.json`;
+              tasks.push(value ? writeData(value, file) : removeData(file));
+            }
+          }
+          await Promise.all(tasks);
+        },
+      },
+    },
+    saveCreds: () => writeData(creds, "creds.json"),
+  };
+}
+
+module.exports = { fsFiles, mongoFiles, sealedFiles, authCollection, useStoreAuthState };
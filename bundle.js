@@ -0,0 +1,88 @@
+"use strict";
+
+const crypto = require("crypto");
+const archiver = require("archiver");
+
+const { encodeSessionString } = require("./session-string");
+
+/* =========================
+ * Session export formats
+ * =========================
+ * GET /api/session/:id?format=... builds one of these from the session's auth files:
+ *   zip         every file, zipped (default)
+ *   tgz         every file, tar + gzip
+ *   creds-json  creds.json only
+ *   creds-b64   creds.json as one base64 line (what the old pair.js sent)
+ *   string      LORDKARMA~ session string (session-string.js)
+ *
+ * Every bundle carries the sha256 of its bytes and, for archives, of each file inside.
+ */
+
+const FORMATS = {
+  zip: { ext: "zip", content_type: "application/zip", archive: true, paste: false },
+  tgz: { ext: "tar.gz", content_type: "application/gzip", archive: true, paste: false },
+  "creds-json": { ext: "json", content_type: "application/json", archive: false, paste: false },
+  "creds-b64": { ext: "b64.txt", content_type: "text/plain; charset=utf-8", archive: false, paste: true },
+  string: { ext: "txt", content_type: "text/plain; charset=utf-8", archive: false, paste: true },
+};
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+async function archiveToBuffer(files, type, options) {
+  return await new Promise((resolve, reject) => {
+    const archive = archiver(type, options);
+    const chunks = [];
+
+    archive.on("warning", (err) => console.warn(`[${type} warning]`, err?.message || err));
+    archive.on("error", reject);
+    archive.on("data", (d) => chunks.push(d));
+    archive.on("end", () => resolve(Buffer.concat(chunks)));
+
+    for (const f of files) archive.append(Buffer.from(f.data), { name: f.name });
+    archive.finalize();
+  });
+}
+
+async function zipFilesToBuffer(files) {
+  return await archiveToBuffer(files, "zip", { zlib: { level: 9 } });
+}
+
+function credsOf(files) {
+  const creds = files.find((f) => f.name === "creds.json");
+  if (!creds) throw new Error("creds.json missing");
+  return Buffer.from(creds.data);
+}
+
+/**
+ * { format, filename, content_type, paste, body (Buffer), size, sha256, files? }
+ * paste: text meant to go straight into a bot's env.
+ */
+async function buildBundle(session_id, files, format = "zip") {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unknown format: ${format}`);
+
+  let body;
+  if (format === "zip") body = await zipFilesToBuffer(files);
+  else if (format === "tgz") body = await archiveToBuffer(files, "tar", { gzip: true, gzipOptions: { level: 9 } });
+  else if (format === "creds-json") body = credsOf(files);
+  else if (format === "creds-b64") body = Buffer.from(credsOf(files).toString("base64"));
+  else body = Buffer.from(encodeSessionString(files));
+
+  const filename = format === "creds-json" ? "creds.json" : `${session_id}.${spec.ext}`;
+  return {
+    format,
+    filename,
+    content_type: spec.content_type,
+    paste: spec.paste,
+    body,
+    size: body.length,
+    sha256: sha256(body),
+    ...(spec.archive
+      ? { files: files.map((f) => ({ name: f.name, size: Buffer.byteLength(f.data), sha256: sha256(Buffer.from(f.data)) })) }
+      : {}),
+  };
+}
+
+module.exports = { FORMATS, zipFilesToBuffer, buildBundle };
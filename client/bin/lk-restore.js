@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/* lk-restore: fetch a session from the portal into an auth folder
+ *
+ *   lk-restore --url https://portal.example --id LK-... --secret ... --token dl_... --dir ./auth_info
+ *              [--export-key <the portal's EXPORT_ENC_KEY>]
+ *   lk-restore --id "LORDKARMA~1...." --dir ./auth_info        (offline, no portal)
+ *
+ * Every flag falls back to an env var: LK_PORTAL_URL, SESSION_ID, LK_SECRET,
+ * LK_DOWNLOAD_TOKEN, LK_AUTH_DIR, LK_TIMEOUT (seconds), LK_EXPORT_KEY.
+ * Exit codes: 0 restored, 1 failed, 2 bad usage.
+ */
+"use strict";
+
+const { restoreSession } = require("..");
+
+const FLAGS = {
+  url: "LK_PORTAL_URL",
+  id: "SESSION_ID",
+  secret: "LK_SECRET",
+  token: "LK_DOWNLOAD_TOKEN",
+  dir: "LK_AUTH_DIR",
+  timeout: "LK_TIMEOUT",
+  "export-key": "LK_EXPORT_KEY",
+};
+
+function usage(msg) {
+  if (msg) console.error(`lk-restore: ${msg}`);
+  console.error("usage: lk-restore --id <LK-... | LORDKARMA~...> [--url <portal>] [--secret <secret>] [--token <dl_...>] [--dir ./auth_info] [--timeout <s>] [--export-key <key>] [--quiet]");
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const out = { quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") usage();
+    if (a === "-q" || a === "--quiet") {
+      out.quiet = true;
+      continue;
+    }
+
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(a);
+    if (!m || !(m[1] in FLAGS)) usage(`unknown argument ${a}`);
+    const value = m[2] ?? argv[++i];
+    if (value === undefined) usage(`--${m[1]} needs a value`);
+    out[m[1]] = value;
+  }
+
+  for (const [flag, env] of Object.entries(FLAGS)) if (out[flag] === undefined && process.env[env]) out[flag] = process.env[env];
+  return out;
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.id) usage("--id is required");
+
+  const timeout = args.timeout !== undefined ? Number(args.timeout) : 300;
+  if (!Number.isFinite(timeout) || timeout <= 0) usage("--timeout must be a number of seconds");
+
+  const log = (...a) => !args.quiet && console.error(...a);
+  let last = "";
+
+  try {
+    const r = await restoreSession({
+      baseUrl: args.url,
+      sessionId: args.id,
+      secret: args.secret,
+      token: args.token,
+      exportKey: args["export-key"],
+      dir: args.dir || "./auth_info",
+      timeoutMs: timeout * 1000,
+      onStatus: (st) => {
+        const line = st.queue_position ? `${st.status} (queue position ${st.queue_position})` : st.status;
+        if (line !== last) log(`status: ${(last = line)}`);
+      },
+    });
+    log(`restored ${r.files.length} file(s) into ${r.dir}`);
+  } catch (e) {
+    if (e.code === "usage") usage(e.message);
+    console.error(`lk-restore: ${e.message}`);
+    process.exit(1);
+  }
+})();
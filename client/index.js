@@ -0,0 +1,206 @@
+/* LORDKARMA Session Generator - client
+ *
+ * Restores a session made on the portal into a folder useMultiFileAuthState can load:
+ *
+ *   const { restoreSession } = require("lordkarma-session-client");
+ *   await restoreSession({
+ *     baseUrl: "https://your-portal.example",
+ *     sessionId: process.env.SESSION_ID,       // LK-... id, or a LORDKARMA~ string (restored offline)
+ *     secret: process.env.LK_SECRET,           // SESSION_SECRET or an lk_ API key
+ *     token: process.env.LK_DOWNLOAD_TOKEN,    // dl_... from the welcome DM / session.ready webhook
+ *     exportKey: process.env.LK_EXPORT_KEY,    // the portal's EXPORT_ENC_KEY, when it seals exports
+ *     dir: "./auth_info",
+ *   });
+ *   // then useMultiFileAuthState("./auth_info")
+ *
+ * Waits (with backoff) on GET /api/status/:id until the session is ready, downloads it once
+ * from GET /api/session/:id?format=string, opens it with exportKey when the portal sealed it,
+ * checks the sha256 and the string's own checksum, then writes the files. Node 18+ (global fetch), no dependencies.
+ */
+"use strict";
+
+const crypto = require("crypto");
+
+const { isSessionString, decodeSessionString, restoreSessionString } = require("./session-string");
+
+// statuses a session never comes back from
+const FINAL = ["expired", "revoked", "claimed", "logged_out", "missing"];
+
+// errors carry .code (usage, network, unauthorized, missing, expired, revoked, claimed,
+// logged_out, timeout, download, key, checksum) and .status (HTTP status, when there was one)
+function restoreError(message, { status, code } = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function sha256(str) {
+  return crypto.createHash("sha256").update(Buffer.from(str, "utf-8")).digest("hex");
+}
+
+/* =========================
+ * Sealed exports
+ * =========================
+ * The portal's envelope (vault.js on the server) with EXPORT_ENC_KEY:
+ *   {"lkenc":1,"kid":"<8 hex of sha256(key)>","dk":"<wrapped data key>","iv":"..","tag":"..","ct":".."}
+ * dk = iv(12) | tag(16) | ct(32), AES-256-GCM under the key; ct is AES-256-GCM under the data key.
+ */
+function parseKey(raw) {
+  const s = String(raw || "").trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (key.length !== 32) throw restoreError("exportKey must be 32 bytes (64 hex chars or base64)", { code: "usage" });
+  return key;
+}
+
+function gcmOpen(key, iv, tag, ct) {
+  const d = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  d.setAuthTag(tag);
+  return Buffer.concat([d.update(ct), d.final()]);
+}
+
+/**
+ * Opens a sealed export (the `sealed` field) with the portal's EXPORT_ENC_KEY. Returns a Buffer.
+ */
+function openSealed(exportKey, sealed) {
+  const key = parseKey(exportKey);
+  let env;
+  try {
+    env = JSON.parse(sealed);
+  } catch (_) {
+    throw restoreError("Sealed export is not JSON", { code: "download" });
+  }
+  if (env?.lkenc !== 1) throw restoreError("Not a sealed export", { code: "download" });
+
+  const kid = crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+  if (env.kid !== kid) throw restoreError(`Sealed with another key (kid ${env.kid})`, { code: "key" });
+
+  try {
+    const dk = Buffer.from(env.dk, "base64");
+    const dataKey = gcmOpen(key, dk.subarray(0, 12), dk.subarray(12, 28), dk.subarray(28));
+    const b64 = (k) => Buffer.from(env[k], "base64");
+    return gcmOpen(dataKey, b64("iv"), b64("tag"), b64("ct"));
+  } catch (_) {
+    throw restoreError("Sealed export does not open with this key", { code: "key" });
+  }
+}
+
+async function getJson(url, headers) {
+  let res;
+  try {
+    res = await fetch(url, { headers: { Accept: "application/json", ...headers } });
+  } catch (e) {
+    throw restoreError(`Portal unreachable: ${e?.cause?.message || e?.message || e}`, { code: "network" });
+  }
+
+  let body = {};
+  try {
+    body = await res.json();
+  } catch (_) {}
+  return { status: res.status, body };
+}
+
+/**
+ * Polls the status until it is ready. Throws on a final status or after timeoutMs.
+ */
+async function waitUntilReady(base, id, headers, { timeoutMs, minDelayMs, maxDelayMs, onStatus }) {
+  const deadline = Date.now() + timeoutMs;
+  let delay = minDelayMs;
+
+  for (;;) {
+    const { status, body } = await getJson(`${base}/api/status/${encodeURIComponent(id)}`, headers);
+
+    if (status === 401 || status === 403) {
+      throw restoreError(body.error || "Not allowed (check the secret)", { status, code: "unauthorized" });
+    }
+    if (status === 404) throw restoreError("Session not found", { status, code: "missing" });
+
+    if (status === 200) {
+      onStatus?.(body);
+      if (body.status === "ready") return body;
+      if (FINAL.includes(body.status)) {
+        throw restoreError(`Session is ${body.status}`, { status, code: body.status });
+      }
+    }
+    // anything else (5xx, rate limited) is retried like a pending session
+
+    if (Date.now() + delay > deadline) {
+      throw restoreError(`Session not ready after ${Math.round(timeoutMs / 1000)}s`, { code: "timeout" });
+    }
+    await sleep(delay);
+    delay = Math.min(Math.round(delay * 1.5), maxDelayMs);
+  }
+}
+
+async function download(base, id, headers, token, exportKey) {
+  const url = `${base}/api/session/${encodeURIComponent(id)}?format=string`;
+  const { status, body } = await getJson(url, { ...headers, "X-DOWNLOAD-TOKEN": token });
+
+  if (status !== 200 || !body.ok) {
+    throw restoreError(body.error || `Download failed (HTTP ${status})`, { status, code: "download" });
+  }
+
+  let str = body.data ?? body.session_string;
+  if (body.encrypted) {
+    if (!exportKey) {
+      throw restoreError("The portal seals exports: pass exportKey (its EXPORT_ENC_KEY)", { status, code: "key" });
+    }
+    str = openSealed(exportKey, body.sealed).toString("utf-8");
+  }
+  if (typeof str !== "string") throw restoreError("Portal sent no session string", { status, code: "download" });
+  if (body.sha256 && sha256(str) !== body.sha256) {
+    throw restoreError("Checksum mismatch: the download was corrupted", { status, code: "checksum" });
+  }
+  return str;
+}
+
+/**
+ * opts: { baseUrl, sessionId, secret, token, exportKey, dir, timeoutMs = 5 min, minDelayMs = 1s, maxDelayMs = 10s, onStatus }
+ * Resolves { session_id, dir, files } (file names written).
+ */
+async function restoreSession(opts = {}) {
+  const {
+    baseUrl,
+    sessionId,
+    secret,
+    token,
+    exportKey,
+    dir = "./auth_info",
+    timeoutMs = 5 * 60 * 1000,
+    minDelayMs = 1000,
+    maxDelayMs = 10_000,
+    onStatus,
+  } = opts;
+
+  if (!sessionId) throw restoreError("sessionId is required", { code: "usage" });
+
+  // a LORDKARMA~ string carries the files itself
+  if (isSessionString(sessionId)) {
+    try {
+      return { session_id: null, dir, files: restoreSessionString(sessionId, dir) };
+    } catch (e) {
+      throw restoreError(e.message, { code: "checksum" });
+    }
+  }
+
+  if (!baseUrl) throw restoreError("baseUrl is required", { code: "usage" });
+  if (!token) throw restoreError("token is required (the dl_... download token)", { code: "usage" });
+
+  const base = String(baseUrl).replace(/\/+$/, "");
+  const headers = secret ? { "X-SESSION-SECRET": secret } : {};
+
+  await waitUntilReady(base, sessionId, headers, { timeoutMs, minDelayMs, maxDelayMs, onStatus });
+  const str = await download(base, sessionId, headers, token, exportKey);
+
+  // decode first so a bad string never leaves a half-written folder
+  try {
+    decodeSessionString(str);
+  } catch (e) {
+    throw restoreError(e.message, { code: "checksum" });
+  }
+  return { session_id: sessionId, dir, files: restoreSessionString(str, dir) };
+}
+
+module.exports = { restoreSession, openSealed, isSessionString, decodeSessionString, restoreSessionString };
@@ -0,0 +1,92 @@
+/* LORDKARMA Session Generator - self-contained SESSION_ID strings
+ *
+ * Packs a whole auth folder (creds.json + signal keys) into one string a bot
+ * can restore without reaching this portal:
+ *
+ *   LORDKARMA~<version>.<payload>.<checksum>
+ *
+ *   version   "1"
+ *   payload   base64url(gzip(JSON { "<file name>": "<file contents>", ... }))
+ *   checksum  first 8 hex chars of sha256(gzip bytes)
+ *
+ * Only uses Node built-ins so bots can copy this file as-is (or use the client package):
+ *   const { restoreSessionString } = require("./session-string");
+ *   restoreSessionString(process.env.SESSION_ID, "./auth_info");
+ *   // then useMultiFileAuthState("./auth_info")
+ */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const PREFIX = "LORDKARMA~";
+const VERSION = "1";
+// a real auth folder is well under 1 MB; refuse decompression bombs
+const MAX_UNPACKED = 20 * 1024 * 1024;
+
+function checksum(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex").slice(0, 8);
+}
+
+function isSessionString(str) {
+  return typeof str === "string" && str.trim().startsWith(PREFIX);
+}
+
+/**
+ * files: [{ name, data }] as listed from a session store.
+ */
+function encodeSessionString(files) {
+  const map = {};
+  for (const f of files) map[f.name] = Buffer.isBuffer(f.data) ? f.data.toString("utf-8") : String(f.data);
+
+  const packed = zlib.gzipSync(Buffer.from(JSON.stringify(map), "utf-8"), { level: 9 });
+  return `${PREFIX}${VERSION}.${packed.toString("base64url")}.${checksum(packed)}`;
+}
+
+/**
+ * Returns { "<file name>": "<file contents>" }. Throws on a malformed, corrupted or oversized string.
+ */
+function decodeSessionString(str) {
+  if (!isSessionString(str)) throw new Error(`Not a ${PREFIX} session string`);
+
+  const parts = str.trim().slice(PREFIX.length).split(".");
+  if (parts.length !== 3) throw new Error("Malformed session string");
+
+  const [version, payload, sum] = parts;
+  if (version !== VERSION) throw new Error(`Unsupported session string version: ${version}`);
+
+  const packed = Buffer.from(payload, "base64url");
+  if (checksum(packed) !== sum) throw new Error("Session string checksum mismatch (truncated or edited?)");
+
+  let unpacked;
+  try {
+    unpacked = zlib.gunzipSync(packed, { maxOutputLength: MAX_UNPACKED });
+  } catch (e) {
+    if (e.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`Session string unpacks to more than ${MAX_UNPACKED} bytes`);
+    throw new Error("Session string payload is not gzip");
+  }
+
+  const map = JSON.parse(unpacked.toString("utf-8"));
+  if (!map || typeof map["creds.json"] !== "string") throw new Error("Session string has no creds.json");
+  return map;
+}
+
+/**
+ * Writes the files into `dir` where useMultiFileAuthState(dir) expects them.
+ * Returns the list of file names written.
+ */
+function restoreSessionString(str, dir) {
+  const map = decodeSessionString(str);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const names = Object.keys(map);
+  for (const name of names) {
+    if (path.basename(name) !== name) throw new Error(`Bad file name in session string: ${name}`);
+    fs.writeFileSync(path.join(dir, name), map[name]);
+  }
+  return names;
+}
+
+module.exports = { isSessionString, encodeSessionString, decodeSessionString, restoreSessionString };
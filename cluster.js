@@ -0,0 +1,159 @@
+"use strict";
+
+const crypto = require("crypto");
+const os = require("os");
+
+const { getCollection } = require("./db");
+const config = require("./config");
+const storage = require("./storage");
+
+/* =========================
+ * Shared-state mode
+ * =========================
+ * On whenever MongoDB is the storage backend (storage.js; opt out with SHARED_STATE=0), so several instances
+ * behind a load balancer can serve the same sessions:
+ *  - status reads prefer the newest of the local record and the DB record (store.js)
+ *  - each live login socket is covered by a lease in `session_leases`
+ *      { session_id, node_id, expires_at, acquired_at }
+ *    renewed every LEASE_TTL_MS / 3 (default TTL 30s) while the socket lives
+ *  - pending sessions whose lease lapsed (their node died or restarted) are orphans
+ *    any node may take over (janitor.js -> takeover hook in api.js)
+ *
+ * NODE_ID names this instance (default: <hostname>-<pid>-<random>).
+ */
+
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(2).toString("hex")}`;
+
+let _indexed = false;
+let _timer = null;
+
+function enabled() {
+  return !!config.get().mongo.uri && storage.kind() === "mongo" && process.env.SHARED_STATE !== "0";
+}
+
+function leaseTtlMs() {
+  return Math.max(5_000, Number(process.env.LEASE_TTL_MS || 30_000));
+}
+
+async function leases() {
+  if (!enabled()) return null;
+  const col = await getCollection("session_leases");
+  if (col && !_indexed) {
+    _indexed = true;
+    try {
+      await col.createIndex({ session_id: 1 }, { unique: true });
+      await col.createIndex({ node_id: 1 });
+    } catch (_) {}
+  }
+  return col;
+}
+
+/**
+ * Takes (or renews) the lease on a session for this node.
+ * False when another node holds a live lease. Always true outside shared-state mode.
+ */
+async function claim(session_id) {
+  const col = await leases();
+  if (!col) return true;
+
+  const now = Date.now();
+  try {
+    await col.updateOne(
+      { session_id, $or: [{ node_id: NODE_ID }, { expires_at: { $lt: now } }] },
+      { $set: { node_id: NODE_ID, expires_at: now + leaseTtlMs(), acquired_at: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (e) {
+    // the upsert collides with a live lease held by someone else
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+async function release(session_id) {
+  const col = await leases();
+  if (col) await col.deleteOne({ session_id, node_id: NODE_ID });
+}
+
+/**
+ * { node_id, expires_at } of the live lease on a session, else null.
+ */
+async function owner(session_id) {
+  const col = await leases();
+  if (!col) return null;
+  const l = await col.findOne({ session_id, expires_at: { $gte: Date.now() } });
+  return l ? { node_id: l.node_id, expires_at: l.expires_at } : null;
+}
+
+async function liveLeases() {
+  const col = await leases();
+  if (!col) return [];
+  return await col
+    .find({ expires_at: { $gte: Date.now() } }, { projection: { _id: 0 } })
+    .sort({ acquired_at: 1 })
+    .toArray();
+}
+
+async function renew(ids) {
+  const col = await leases();
+  if (!col || !ids.length) return;
+  await col.updateMany(
+    { session_id: { $in: ids }, node_id: NODE_ID },
+    { $set: { expires_at: Date.now() + leaseTtlMs() } }
+  );
+}
+
+/**
+ * Pending, unexpired sessions nobody holds a live lease on. Sessions younger than
+ * one lease TTL are left alone: their node may not have claimed them yet.
+ */
+async function orphanedPending() {
+  const col = await leases();
+  const statuses = await getCollection();
+  if (!col || !statuses) return [];
+
+  const now = Date.now();
+  const pending = await statuses
+    .find(
+      { status: "pending", expires_at: { $gt: now }, created_at: { $lt: now - leaseTtlMs() } },
+      { projection: { session_id: 1 } }
+    )
+    .toArray();
+  if (!pending.length) return [];
+
+  const held = await col
+    .find({ session_id: { $in: pending.map((d) => d.session_id) }, expires_at: { $gte: now } }, { projection: { session_id: 1 } })
+    .toArray();
+  const heldIds = new Set(held.map((l) => l.session_id));
+  return pending.map((d) => d.session_id).filter((id) => !heldIds.has(id));
+}
+
+/**
+ * Keeps this node's leases alive. owned() -> session ids with a live socket here.
+ */
+function start(owned) {
+  if (_timer || !enabled()) return;
+
+  _timer = setInterval(() => {
+    renew(owned()).catch((e) => console.warn("[lease renew]", e?.message || e));
+  }, Math.floor(leaseTtlMs() / 3));
+  _timer.unref?.();
+}
+
+function stop() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = {
+  NODE_ID,
+  enabled,
+  claim,
+  release,
+  owner,
+  liveLeases,
+  orphanedPending,
+  start,
+  stop,
+};
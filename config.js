@@ -0,0 +1,186 @@
+"use strict";
+
+/* =========================
+ * Configuration
+ * =========================
+ * The environment the portal boots with, read and checked once (app.js, Maher-Zubair.js):
+ * a bad value stops the process at boot with every problem listed, instead of failing
+ * on the first request that needs it.
+ *
+ *   PORT                        1-65535 (default 8000)
+ *   SESSION_SECRET              portal password, at least 8 characters (unset = open portal)
+ *   CORS_ORIGIN                 "*" (default) or comma-separated http(s) origins
+ *   MONGODB_URI / MONGO_URI     mongodb:// or mongodb+srv:// (unset = no MongoDB)
+ *   MONGODB_DB / MONGO_DB       database name (default "lordkarma")
+ *   MONGODB_COLLECTION          status records (default "sessions")
+ *   MONGODB_AUTH_COLLECTION     auth files (default "session_files")
+ *   BAILEYS_VERSION_TTL_MS, PAIR_CODE_REFRESH_MAX, VERIFY_TIMEOUT_MS, VERIFY_MIN_INTERVAL_MS  numbers >= 0
+ *   BOT_NAME                    {bot_name} in welcome messages (default "LORDKARMA")
+ *
+ * Checked here but read where they are used:
+ *   SESSION_ENC_KEY, SESSION_ENC_KEYS_OLD, EXPORT_ENC_KEY  32-byte keys (vault.js), the export
+ *                               key not the at-rest one
+ *   STORAGE_BACKEND (storage.js), WA_DRIVER (wa-driver.js), LIMIT_STORE (limits.js)  known names;
+ *                               mongo ones need MONGODB_URI
+ *   DOWNLOAD_TOKEN_TTL_MS       number >= 60000 (tokens.js)
+ *   PAIR_LIMIT_*, PAIR_EXPIRY_STRIKES, PAIR_EXPIRY_COOLDOWN_MS  integers >= 0 (limits.js)
+ */
+
+const vault = require("./vault");
+
+const HOUR = 60 * 60 * 1000;
+
+let _config = null;
+
+function configError(problems) {
+  const e = new Error(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  e.problems = problems;
+  return e;
+}
+
+/**
+ * Reads `env` (default process.env). Returns the frozen config or throws with .problems (every bad value).
+ */
+function load(env = process.env) {
+  const problems = [];
+  const str = (name) => {
+    const v = env[name];
+    return v == null ? "" : String(v).trim();
+  };
+
+  const number = (name, def, { min = 0, max = Infinity, integer = false } = {}) => {
+    const raw = str(name);
+    if (!raw) return def;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+      const range = max === Infinity ? `>= ${min}` : `${min}-${max}`;
+      problems.push(`${name} must be ${integer ? "an integer" : "a number"} ${range} (got "${raw}")`);
+      return def;
+    }
+    return n;
+  };
+
+  const port = number("PORT", 8000, { min: 1, max: 65535, integer: true });
+
+  // unset: open portal. Set: long enough not to be guessed before the IP limits kick in
+  const sessionSecret = env.SESSION_SECRET == null ? "" : String(env.SESSION_SECRET);
+  if (sessionSecret && sessionSecret.trim().length < 8) problems.push("SESSION_SECRET must be at least 8 characters");
+  if (sessionSecret && sessionSecret !== sessionSecret.trim()) {
+    problems.push("SESSION_SECRET has leading or trailing spaces");
+  }
+
+  let corsOrigin = str("CORS_ORIGIN") || "*";
+  if (corsOrigin !== "*") {
+    const origins = corsOrigin.split(",").map((o) => o.trim()).filter(Boolean);
+    for (const o of origins) {
+      let u = null;
+      try {
+        u = new URL(o);
+      } catch (_) {}
+      if (!u || !/^https?:$/.test(u.protocol) || u.origin !== o.replace(/\/$/, "")) {
+        problems.push(`CORS_ORIGIN: "${o}" is not an http(s) origin like https://example.com`);
+      }
+    }
+    corsOrigin = origins.length === 1 ? origins[0] : origins;
+  }
+
+  const uri = str("MONGODB_URI") || str("MONGO_URI");
+  if (uri && !/^mongodb(\+srv)?:\/\/[^/\s]+/.test(uri)) {
+    problems.push("MONGODB_URI must start with mongodb:// or mongodb+srv:// followed by a host");
+  }
+
+  const db = str("MONGODB_DB") || str("MONGO_DB") || "lordkarma";
+  if (db.length > 63 || /[/\\. "$*<>:|?]/.test(db)) problems.push(`MONGODB_DB: "${db}" is not a valid database name`);
+
+  const collection = (name, def) => {
+    const c = str(name) || def;
+    if (c.includes("$") || c.startsWith("system.")) problems.push(`${name}: "${c}" is not a valid collection name`);
+    return c;
+  };
+
+  const config = {
+    port,
+    sessionSecret,
+    corsOrigin,
+    mongo: {
+      uri,
+      db,
+      collection: collection("MONGODB_COLLECTION", "sessions"),
+      authCollection: collection("MONGODB_AUTH_COLLECTION", "session_files"),
+    },
+    baileysVersionTtlMs: number("BAILEYS_VERSION_TTL_MS", 6 * HOUR),
+    pairCodeRefreshMax: number("PAIR_CODE_REFRESH_MAX", 3, { integer: true }),
+    verifyTimeoutMs: number("VERIFY_TIMEOUT_MS", 20_000, { min: 1 }),
+    verifyMinIntervalMs: number("VERIFY_MIN_INTERVAL_MS", 60_000),
+    botName: str("BOT_NAME") || "LORDKARMA",
+  };
+
+  // required here: these modules read the config themselves
+  const { BACKENDS } = require("./storage");
+  const { DRIVERS } = require("./wa-driver");
+  const { LAYERS } = require("./limits");
+
+  for (const name of ["SESSION_ENC_KEY", "SESSION_ENC_KEYS_OLD", "EXPORT_ENC_KEY"]) {
+    for (const raw of str(name).split(",").map((k) => k.trim()).filter(Boolean)) {
+      try {
+        vault.parseKey(raw);
+      } catch (_) {
+        problems.push(`${name} must be 32 bytes as 64 hex chars or base64`);
+        break;
+      }
+    }
+  }
+
+  const kid = (name) => {
+    try {
+      return vault.keyId(vault.parseKey(str(name)));
+    } catch (_) {
+      return null;
+    }
+  };
+  if (kid("EXPORT_ENC_KEY") && kid("EXPORT_ENC_KEY") === kid("SESSION_ENC_KEY")) {
+    problems.push("EXPORT_ENC_KEY must not be SESSION_ENC_KEY: bots holding it could open everything at rest");
+  }
+
+  const oneOf = (name, names, { mongo } = {}) => {
+    const v = str(name).toLowerCase();
+    if (v && !names.includes(v)) problems.push(`${name}: unknown "${v}" (use ${names.join(", ")})`);
+    else if (v === mongo && !uri) problems.push(`${name}=${v} needs MONGODB_URI`);
+  };
+  oneOf("STORAGE_BACKEND", BACKENDS, { mongo: "mongo" });
+  oneOf("WA_DRIVER", DRIVERS);
+  oneOf("LIMIT_STORE", ["memory", "mongo"], { mongo: "mongo" });
+
+  number("DOWNLOAD_TOKEN_TTL_MS", 0, { min: 60_000 });
+  for (const [, , env] of LAYERS) number(env, 0, { integer: true });
+  number("PAIR_EXPIRY_STRIKES", 0, { integer: true });
+  number("PAIR_EXPIRY_COOLDOWN_MS", 0);
+
+  if (problems.length) throw configError(problems);
+  return Object.freeze({ ...config, mongo: Object.freeze(config.mongo) });
+}
+
+/**
+ * The process config, loaded on first use. Throws like load() on bad values.
+ */
+function get() {
+  if (!_config) _config = load();
+  return _config;
+}
+
+/**
+ * What /api/admin/overview shows: no secrets, only the MongoDB host.
+ */
+function summary() {
+  const c = get();
+  // hosts only: drop the scheme, credentials, database and options
+  const host = c.mongo.uri.replace(/^mongodb(\+srv)?:\/\/([^@/]*@)?/, "").split(/[/?]/)[0];
+  return {
+    port: c.port,
+    secret_gate: !!c.sessionSecret,
+    cors_origin: c.corsOrigin,
+    mongo: c.mongo.uri ? { host, db: c.mongo.db, collection: c.mongo.collection } : null,
+  };
+}
+
+module.exports = { load, get, summary };
@@ -2,33 +2,57 @@
 
 const { MongoClient } = require("mongodb");
 
+const config = require("./config");
+
 let _client = null;
-let _col = null;
+const _cols = new Map();
+
+// the shared client, connected (getCollection, ping)
+async function connect() {
+  const { uri, db } = config.get().mongo;
+  _client = _client || new MongoClient(uri, { maxPoolSize: 5 });
+  await _client.connect();
+  return _client.db(db);
+}
 
 /**
  * Returns a MongoDB collection when MONGODB_URI is provided.
  * If not configured, returns null (the app will fallback to filesystem).
+ *
+ * Without a name this is the status collection (MONGODB_COLLECTION);
+ * other modules pass their own collection name on the same database.
  */
-async function getCollection() {
-  const uri = process.env.MONGODB_URI || process.env.MONGO_URI || "";
-  const dbName = process.env.MONGODB_DB || process.env.MONGO_DB || "lordkarma";
-  const colName = process.env.MONGODB_COLLECTION || "sessions";
+async function getCollection(name) {
+  const mongo = config.get().mongo;
+  const colName = name || mongo.collection;
 
-  if (!uri) return null;
-  if (_col) return _col;
+  if (!mongo.uri) return null;
+  if (_cols.has(colName)) return _cols.get(colName);
 
-  _client = _client || new MongoClient(uri, { maxPoolSize: 5 });
-  await _client.connect();
-  const db = _client.db(dbName);
-  _col = db.collection(colName);
+  const db = await connect();
+  const col = db.collection(colName);
+  _cols.set(colName, col);
 
   // helpful index
-  try {
-    await _col.createIndex({ session_id: 1 }, { unique: true });
-    await _col.createIndex({ expires_at: 1 });
-  } catch (_) {}
+  if (!name) {
+    try {
+      await col.createIndex({ session_id: 1 }, { unique: true });
+      await col.createIndex({ expires_at: 1 });
+      await col.createIndex({ downloaded_at: 1 }, { sparse: true });
+      await col.createIndex({ ready_at: 1 }, { sparse: true });
+    } catch (_) {}
+  }
+
+  return col;
+}
 
-  return _col;
+/**
+ * Round trip to the server (GET /api/ready). Null when MongoDB is not configured.
+ */
+async function ping() {
+  if (!config.get().mongo.uri) return null;
+  await (await connect()).command({ ping: 1 });
+  return true;
 }
 
-module.exports = { getCollection };
+module.exports = { getCollection, ping };
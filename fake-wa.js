@@ -0,0 +1,251 @@
+"use strict";
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const { DisconnectReason } = require("@whiskeysockets/baileys");
+
+/* =========================
+ * Fake WhatsApp (WA_DRIVER=fake)
+ * =========================
+ * Stands in for makeWASocket so the whole pairing pipeline runs offline: pairing codes,
+ * QRs, the user linking the device, 401/408 closes and the creds + keys a real link writes.
+ *
+ * WA_FAKE_SCENARIO (what happens without a test steering it):
+ *   link       the "user" links WA_FAKE_LINK_MS (default 3000) after the code / first QR (default)
+ *   manual     nothing: call link(), timeout(), close() from a test
+ *   timeout    WhatsApp gives up after WA_FAKE_LINK_MS (408, the session expires)
+ *   fail_code  requestPairingCode always fails
+ *
+ * Tests steer it through the exports: sockets, sent, forPhone(), link(), timeout(),
+ * close(), logoutDevice(), reset().
+ */
+
+const state = {
+  sockets: [], // every socket opened, oldest first
+  sent: [], // { socket, jid, content } for every sendMessage
+  loggedOut: new Set(), // device jids removed from "the phone"
+};
+
+function scenario() {
+  return String(process.env.WA_FAKE_SCENARIO || "link").toLowerCase();
+}
+
+function linkDelayMs() {
+  return Number(process.env.WA_FAKE_LINK_MS || 3000);
+}
+
+// what Baileys rejects with: a Boom carrying output.statusCode
+function boom(message, statusCode) {
+  const e = new Error(message);
+  e.output = { statusCode, payload: { statusCode, message } };
+  return e;
+}
+
+function randomCode() {
+  const abc = "ABCDEFGHJKLMNPQRSTVWXYZ0123456789";
+  let out = "";
+  for (let i = 0; i < 8; i++) out += abc[crypto.randomInt(abc.length)];
+  return out;
+}
+
+function keyPair() {
+  return { public: crypto.randomBytes(32), private: crypto.randomBytes(32) };
+}
+
+function makeSocket(auth) {
+  const ev = new EventEmitter();
+  ev.setMaxListeners(50);
+
+  const sock = {
+    ev,
+    authState: auth,
+    user: auth.creds.registered ? auth.creds.me : undefined,
+    ws: { close: () => sock.end(undefined) },
+    fake: { id: state.sockets.length + 1, phone: null, code: null, qr_count: 0, closed: false, played: false, timers: [] },
+
+    async requestPairingCode(phone) {
+      if (sock.fake.closed) throw boom("Connection Closed", DisconnectReason.connectionClosed);
+      if (scenario() === "fail_code") throw boom("Connection Failure", DisconnectReason.connectionClosed);
+
+      sock.fake.phone = String(phone).replace(/[^0-9]/g, "");
+      sock.fake.code = randomCode();
+      auth.creds.pairingCode = sock.fake.code;
+      ev.emit("creds.update", { pairingCode: sock.fake.code });
+      autoplay(sock);
+      return sock.fake.code;
+    },
+
+    async sendMessage(jid, content) {
+      if (sock.fake.closed) throw boom("Connection Closed", DisconnectReason.connectionClosed);
+      state.sent.push({ socket: sock.fake.id, jid, content });
+      return { key: { remoteJid: jid, fromMe: true, id: crypto.randomBytes(8).toString("hex").toUpperCase() } };
+    },
+
+    async logout() {
+      if (!auth.creds.registered) throw boom("Not logged in", DisconnectReason.connectionClosed);
+      state.loggedOut.add(auth.creds.me.id);
+      close(sock, DisconnectReason.loggedOut, "Intentional Logout");
+    },
+
+    end(error) {
+      close(sock, error?.output?.statusCode ?? DisconnectReason.connectionClosed, error?.message || "Connection Closed");
+    },
+  };
+
+  state.sockets.push(sock);
+
+  later(sock, 0, () => {
+    ev.emit("connection.update", { connection: "connecting" });
+
+    if (auth.creds.registered) {
+      // reconnecting with stored creds
+      if (state.loggedOut.has(auth.creds.me?.id)) return close(sock, DisconnectReason.loggedOut, "Connection Failure");
+      return ev.emit("connection.update", { connection: "open" });
+    }
+
+    // a fresh login: WhatsApp sends QR refs until the device links (or a code is requested)
+    emitQr(sock);
+  });
+
+  return sock;
+}
+
+function later(sock, ms, fn) {
+  const t = setTimeout(() => {
+    if (!sock.fake.closed) fn();
+  }, ms);
+  t.unref?.();
+  sock.fake.timers.push(t);
+}
+
+function emitQr(sock) {
+  if (sock.fake.closed || sock.authState.creds.registered) return;
+  sock.fake.qr_count++;
+  const ref = crypto.randomBytes(24).toString("base64");
+  const qr = [`2@${ref}`, ...[0, 1, 2].map(() => crypto.randomBytes(32).toString("base64"))].join(",");
+  sock.ev.emit("connection.update", { qr });
+  autoplay(sock);
+}
+
+// runs WA_FAKE_SCENARIO once per socket, from its first QR or pairing code
+function autoplay(sock) {
+  if (sock.fake.played) return;
+  sock.fake.played = true;
+
+  const s = scenario();
+  if (s === "link") later(sock, linkDelayMs(), () => link(sock));
+  if (s === "timeout") later(sock, linkDelayMs(), () => timeout(sock));
+}
+
+function close(sock, statusCode, message) {
+  if (sock.fake.closed) return;
+  sock.fake.closed = true;
+  for (const t of sock.fake.timers) clearTimeout(t);
+  sock.ev.emit("connection.update", {
+    connection: "close",
+    lastDisconnect: { error: boom(message, statusCode), date: new Date() },
+  });
+}
+
+/* =========================
+ * Steering (tests)
+ * ========================= */
+
+/**
+ * The user links the device: writes registered creds + keys the way a real pairing
+ * does, then opens the connection. phone defaults to the one the code was asked for.
+ */
+async function link(sock, { phone, name = "Fake User" } = {}) {
+  if (sock.fake.closed) throw new Error("Socket is closed");
+  const { creds, keys } = sock.authState;
+
+  const number = String(phone || sock.fake.phone || `1555${crypto.randomInt(1e6, 1e7)}`).replace(/[^0-9]/g, "");
+  const device = crypto.randomInt(1, 60);
+  const me = { id: `${number}:${device}@s.whatsapp.net`, name };
+
+  Object.assign(creds, {
+    me,
+    registered: true,
+    platform: "android",
+    account: {
+      details: crypto.randomBytes(48),
+      accountSignatureKey: crypto.randomBytes(32),
+      accountSignature: crypto.randomBytes(64),
+      deviceSignature: crypto.randomBytes(64),
+    },
+    signalIdentities: [
+      { identifier: { name: me.id, deviceId: 0 }, identifierKey: Buffer.concat([Buffer.from([5]), crypto.randomBytes(32)]) },
+    ],
+    lastAccountSyncTimestamp: Math.floor(Date.now() / 1000),
+  });
+
+  // pre-keys uploaded on login (pre-key-<id>.json)
+  const preKeys = {};
+  const first = creds.nextPreKeyId || 1;
+  for (let i = 0; i < 5; i++) preKeys[first + i] = keyPair();
+  await keys.set({ "pre-key": preKeys });
+  creds.nextPreKeyId = first + 5;
+  creds.firstUnuploadedPreKeyId = first + 5;
+
+  sock.user = me;
+  sock.ev.emit("creds.update", { ...creds });
+  sock.ev.emit("connection.update", { connection: "open", isNewLogin: true });
+  return me;
+}
+
+// WhatsApp stops waiting for the user (408: the portal expires the session)
+function timeout(sock) {
+  close(sock, DisconnectReason.timedOut, "QR refs attempts ended");
+}
+
+/**
+ * The user removes the linked device on their phone: live sockets of that device get
+ * a 401 close and reconnecting with its stored creds fails with 401.
+ */
+function logoutDevice(phone) {
+  const number = String(phone).replace(/[^0-9]/g, "");
+  for (const sock of state.sockets) {
+    const me = sock.authState.creds.me;
+    if (!me || me.id.split(/[:@]/)[0] !== number) continue;
+    state.loggedOut.add(me.id);
+    close(sock, DisconnectReason.loggedOut, "Stream Errored (conflict)");
+  }
+}
+
+// latest socket that asked for a pairing code for this number
+function forPhone(phone) {
+  const number = String(phone).replace(/[^0-9]/g, "");
+  return [...state.sockets].reverse().find((s) => s.fake.phone === number) || null;
+}
+
+function reset() {
+  for (const sock of state.sockets) close(sock, DisconnectReason.connectionClosed, "Connection Closed");
+  state.sockets.length = 0;
+  state.sent.length = 0;
+  state.loggedOut.clear();
+}
+
+const driver = {
+  name: "fake",
+
+  timings: { warmupMs: 0, retryMs: 10, retryStepMs: 0, credsFlushMs: 10, welcomeMs: 0, keepAliveMs: 50 },
+
+  async latestVersion() {
+    return { version: [2, 3000, 1015901307] };
+  },
+
+  makeSocket: (auth) => makeSocket(auth),
+};
+
+module.exports = {
+  driver,
+  sockets: state.sockets,
+  sent: state.sent,
+  forPhone,
+  link,
+  timeout,
+  close: (sock, statusCode = DisconnectReason.connectionClosed) => close(sock, statusCode, "Connection Closed"),
+  logoutDevice,
+  reset,
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const db = require("./db");
+const storage = require("./storage");
+const config = require("./config");
+
+/* =========================
+ * Liveness and readiness
+ * =========================
+ * GET /api/health: the process is up and serving. Touches no dependency, so a slow
+ * MongoDB never gets the instance restarted.
+ * GET /api/ready: every dependency, each within READY_CHECK_TIMEOUT_MS (default 3000):
+ *   storage   active/ writable, plus sessions/ (fs backend) or a record read (other backends)
+ *   mongo     ping, when MONGODB_URI is set
+ *   whatsapp  latest WhatsApp Web version (api.js); not critical, a bundled version is used meanwhile
+ * 503 as soon as a critical check fails.
+ */
+
+const STARTED_AT = Date.now();
+
+function timeoutMs() {
+  return Math.max(100, Number(process.env.READY_CHECK_TIMEOUT_MS || 3000));
+}
+
+async function run({ name, check, critical = true }) {
+  const started = Date.now();
+  const limit = timeoutMs();
+  let timer;
+
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${limit}ms`)), limit);
+      }),
+    ]);
+    return { name, ok: true, critical, ms: Date.now() - started, ...(details || {}) };
+  } catch (e) {
+    return { name, ok: false, critical, ms: Date.now() - started, error: e?.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function writable(dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const probe = path.join(dir, `.ready-${process.pid}-${Date.now()}`);
+  await fs.promises.writeFile(probe, "ok");
+  await fs.promises.unlink(probe);
+}
+
+async function checkStorage() {
+  // status files always land in active/ (readStatus is synchronous), whatever the backend
+  await writable(storage.ACTIVE_DIR);
+
+  const b = storage.backend();
+  if (b.local) await writable(storage.SESS_DIR);
+  else await b.getStatus("LK-ready-probe");
+  return { backend: b.name };
+}
+
+async function checkMongo() {
+  await db.ping();
+}
+
+function liveness() {
+  return { ok: true, status: "ok", uptime_s: Math.round((Date.now() - STARTED_AT) / 1000) };
+}
+
+/**
+ * extra: more checks ({ name, check() -> details, critical? }) from api.js.
+ * Resolves { ok, status: "ready" | "not_ready", checks: [{ name, ok, critical, ms, error?, ... }] }.
+ */
+async function readiness(extra = []) {
+  const checks = await Promise.all(
+    [
+      { name: "storage", check: checkStorage },
+      ...(config.get().mongo.uri ? [{ name: "mongo", check: checkMongo }] : []),
+      ...extra,
+    ].map(run)
+  );
+
+  const ok = checks.every((c) => c.ok || !c.critical);
+  return { ok, status: ok ? "ready" : "not_ready", checks };
+}
+
+module.exports = { liveness, readiness };
@@ -1,10 +1,13 @@
-function makeid(num = 4) {
-  let result = "";
-  let characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  var characters9 = characters.length;
-  for (var i = 0; i < num; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters9));
-  }
-  return result;
-}
-module.exports = {makeid};
+const crypto = require("crypto");
+
+const characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// crypto-grade: session ids are built from this and must not be guessable
+function makeid(num = 4) {
+  let result = "";
+  for (let i = 0; i < num; i++) {
+    result += characters.charAt(crypto.randomInt(characters.length));
+  }
+  return result;
+}
+module.exports = {makeid};
@@ -0,0 +1,197 @@
+"use strict";
+
+const zlib = require("zlib");
+
+const { isSessionString, decodeSessionString } = require("./session-string");
+const { validatePhone } = require("./phone");
+
+/* =========================
+ * Session imports
+ * =========================
+ * POST /api/session/import takes auth files made elsewhere and turns them into a portal session:
+ *   creds-json  creds.json, as an object or its text
+ *   creds-b64   creds.json as one base64 line (what the old pair.js / qr.js sent)
+ *   zip         base64 zip of an auth folder (creds.json + keys; sub-folders are flattened)
+ *   string      LORDKARMA~ session string (session-string.js)
+ * Without a format the data is sniffed. Only linked (registered) creds are accepted.
+ */
+
+const FORMATS = ["creds-json", "creds-b64", "zip", "string"];
+
+// what useMultiFileAuthState writes (see fixFileName in auth-state.js)
+const FILE_NAME = /^[A-Za-z0-9@._+=-]+\.json$/;
+const MAX_FILES = 5000;
+const MAX_UNZIPPED = 20 * 1024 * 1024;
+
+function importError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function base64(str) {
+  const s = String(str).trim().replace(/\s+/g, "");
+  if (!s || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(s)) return null;
+  return Buffer.from(s, s.includes("-") || s.includes("_") ? "base64url" : "base64");
+}
+
+function isZip(buf) {
+  return !!buf && buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50;
+}
+
+function sniff(data) {
+  if (data && typeof data === "object") return "creds-json";
+  if (typeof data !== "string") return null;
+
+  const s = data.trim();
+  if (isSessionString(s)) return "string";
+  if (s.startsWith("{")) return "creds-json";
+
+  const buf = base64(s);
+  if (isZip(buf)) return "zip";
+  if (buf && buf.toString("utf-8").trim().startsWith("{")) return "creds-b64";
+  return null;
+}
+
+/**
+ * Reads a zip's central directory: [{ name, data (Buffer) }], folders skipped.
+ * Stored and deflated entries only, which is what every generator writes.
+ */
+function unzip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw importError(400, "Not a zip file");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  if (count > MAX_FILES) throw importError(400, `Zip has too many entries (max ${MAX_FILES})`);
+
+  const out = [];
+  let total = 0;
+  let p = buf.readUInt32LE(eocd + 16);
+
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) throw importError(400, "Corrupted zip");
+
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf-8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+    if (local + 30 > buf.length || buf.readUInt32LE(local) !== 0x04034b50) throw importError(400, "Corrupted zip");
+
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + size);
+
+    let data;
+    try {
+      if (method === 0) data = Buffer.from(raw);
+      else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: MAX_UNZIPPED - total });
+      else throw importError(400, `Unsupported zip compression (method ${method})`);
+    } catch (e) {
+      throw e.status ? e : importError(400, "Zip too large or corrupted");
+    }
+
+    total += data.length;
+    out.push({ name, data });
+  }
+  return out;
+}
+
+/**
+ * Keeps the auth files of a folder: flattened to their base names, macOS / dot files dropped.
+ */
+function authFiles(entries) {
+  const files = [];
+  for (const { name, data } of entries) {
+    const base = name.split("/").pop();
+    if (name.startsWith("__MACOSX/") || base.startsWith(".")) continue;
+    if (!FILE_NAME.test(base)) throw importError(400, `Unexpected file in the upload: ${base}`);
+    if (files.some((f) => f.name === base)) throw importError(400, `Duplicate file in the upload: ${base}`);
+    files.push({ name: base, data: Buffer.isBuffer(data) ? data.toString("utf-8") : String(data) });
+  }
+  return files;
+}
+
+/**
+ * Throws unless creds.json parses and belongs to a linked device. Returns the creds.
+ */
+function checkCreds(text) {
+  let creds;
+  try {
+    creds = JSON.parse(text);
+  } catch (_) {
+    throw importError(400, "creds.json is not valid JSON");
+  }
+  if (!creds || typeof creds !== "object") throw importError(400, "creds.json is not an object");
+
+  for (const k of ["noiseKey", "signedIdentityKey", "signedPreKey", "advSecretKey"]) {
+    if (!creds[k]) throw importError(400, `creds.json has no ${k}: not Baileys creds`);
+  }
+  if (!creds.registered || typeof creds.me?.id !== "string") {
+    throw importError(422, "These creds were never linked to a WhatsApp account");
+  }
+  return creds;
+}
+
+/**
+ * The account's number from creds.me.id ("<number>:<device>@s.whatsapp.net"), checked like
+ * every number typed into the portal.
+ */
+function credsPhone(creds) {
+  const user = creds.me.id.split(/[:@]/)[0];
+  const phone = /^\d+$/.test(user) ? validatePhone(`+${user}`) : { ok: false, error: "not digits" };
+  if (!phone.ok) throw importError(400, `creds.json me.id is not a WhatsApp number (${phone.error})`);
+  return phone.number;
+}
+
+/**
+ * { data, format? } -> { format, files: [{ name, data }], creds, phone }
+ * Throws with .status 400 (unreadable upload) or 422 (creds not linked).
+ */
+function parseImport({ data, format } = {}) {
+  if (data == null || data === "") throw importError(400, "data is required");
+
+  const f = format ? String(format) : sniff(data);
+  if (format && !FORMATS.includes(f)) throw importError(400, `format must be one of ${FORMATS.join(", ")}`);
+  if (!f) throw importError(400, `Could not tell the format, pass one of ${FORMATS.join(", ")}`);
+
+  let entries;
+  if (f === "creds-json") {
+    entries = [{ name: "creds.json", data: typeof data === "string" ? data.trim() : JSON.stringify(data) }];
+  } else if (typeof data !== "string") {
+    throw importError(400, `${f} data must be a string`);
+  } else if (f === "creds-b64") {
+    const buf = base64(data);
+    if (!buf) throw importError(400, "data is not base64");
+    entries = [{ name: "creds.json", data: buf.toString("utf-8").trim() }];
+  } else if (f === "zip") {
+    const buf = base64(data);
+    if (!isZip(buf)) throw importError(400, "data is not a base64 zip");
+    entries = unzip(buf);
+  } else {
+    try {
+      entries = Object.entries(decodeSessionString(data)).map(([name, text]) => ({ name, data: text }));
+    } catch (e) {
+      throw importError(400, e.message);
+    }
+  }
+
+  const files = authFiles(entries);
+  const credsFile = files.find((x) => x.name === "creds.json");
+  if (!credsFile) throw importError(400, "No creds.json in the upload");
+
+  const creds = checkCreds(credsFile.data);
+  return { format: f, files, creds, phone: credsPhone(creds) };
+}
+
+module.exports = { FORMATS, parseImport };
@@ -0,0 +1,204 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const cluster = require("./cluster");
+const storage = require("./storage");
+const {
+  SESS_DIR,
+  ACTIVE_DIR,
+  statusPath,
+  writeStatus,
+  readStatus,
+  loadStatus,
+  listStatuses,
+  isRegisteredSession,
+  purgeSession,
+} = require("./store");
+
+/* =========================
+ * Background janitor
+ * =========================
+ * Runs once at startup, then every JANITOR_INTERVAL_MS (default 60s, 0 = startup only):
+ *  1. pending records past expires_at -> expired (storage backend + active/ files)
+ * Each step lists only the records it acts on (store.js listStatuses filters; indexed queries on mongo).
+ *  2. first run only: pending records with no socket in this process -> expired
+ *     (their TTL timer died with the previous process)
+ *     In shared-state mode (cluster.js) instead, every run: pending records whose lease
+ *     lapsed -> taken over by this node (expired when that fails)
+ *  3. auth folders / backend auth files of sessions that never linked, older than the pairing TTL -> deleted
+ *  4. local status files of expired sessions older than JANITOR_EXPIRED_KEEP_HOURS (default 24) -> deleted
+ *  5. with SESSION_RETENTION_HOURS: sessions downloaded longer ago than that -> purged
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const stats = {
+  runs: 0,
+  expired: 0,
+  orphaned: 0,
+  taken_over: 0,
+  folders_removed: 0,
+  statuses_removed: 0,
+  purged: 0,
+  errors: 0,
+  last_run_at: null,
+  last_duration_ms: null,
+  last_error: null,
+};
+
+let _timer = null;
+let _running = false;
+let _firstRun = true;
+const _bootAt = Date.now();
+
+function listDir(p) {
+  try {
+    return fs.readdirSync(p);
+  } catch (_) {
+    return [];
+  }
+}
+
+function localStatusIds() {
+  return listDir(ACTIVE_DIR)
+    .filter((n) => n.endsWith(".json"))
+    .map((n) => n.slice(0, -5));
+}
+
+async function overduePending(now) {
+  return (await listStatuses({ status: "pending", expiresBefore: now })).map((st) => st.session_id);
+}
+
+async function removeUnlinkedAuth(now, { isLive, ttlMs }) {
+  for (const id of listDir(SESS_DIR)) {
+    if (isLive(id)) continue;
+
+    const dir = path.join(SESS_DIR, id);
+    const st = await loadStatus(id);
+    let born = st?.created_at;
+    if (!born) {
+      try {
+        born = fs.statSync(dir).mtimeMs;
+      } catch (_) {
+        continue;
+      }
+    }
+    if (now - born < ttlMs || st?.status === "pending") continue;
+    if (await isRegisteredSession(id)) continue;
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    stats.folders_removed++;
+  }
+
+  // backend-stored auth state of sessions that expired without linking
+  const b = storage.backend();
+  if (!b.local) {
+    for (const st of await listStatuses({ status: "expired", expiresBefore: now - ttlMs, unswept: true })) {
+      if (!isLive(st.session_id) && !(await isRegisteredSession(st.session_id))) {
+        await b.deleteFiles(st.session_id);
+        stats.folders_removed++;
+      }
+      writeStatus(st.session_id, { ...st, auth_swept: true });
+    }
+  }
+}
+
+function removeOldExpiredStatuses(now, keepMs) {
+  for (const id of localStatusIds()) {
+    const st = readStatus(id);
+    if (st?.status !== "expired") continue;
+    if (now - (st.expired_at || st.expires_at || 0) < keepMs) continue;
+
+    try {
+      fs.rmSync(statusPath(id), { force: true });
+      stats.statuses_removed++;
+    } catch (_) {}
+  }
+}
+
+async function purgeDownloaded(now, retentionMs) {
+  for (const st of await listStatuses({ downloadedBefore: now - retentionMs })) {
+    await purgeSession(st.session_id);
+    stats.purged++;
+  }
+}
+
+async function adoptOrphans(hooks) {
+  for (const id of await cluster.orphanedPending()) {
+    if (hooks.isLive(id)) continue;
+    if (await hooks.takeover(id)) {
+      stats.taken_over++;
+    } else if (!(await cluster.owner(id))) {
+      await hooks.expire(id);
+      stats.orphaned++;
+    }
+  }
+}
+
+/**
+ * One pass. hooks: { isLive(id), expire(id), takeover(id), ttlMs }
+ */
+async function sweep(hooks) {
+  if (_running) return stats;
+  _running = true;
+
+  const started = Date.now();
+  const now = started;
+
+  try {
+    for (const id of await overduePending(now)) {
+      await hooks.expire(id);
+      stats.expired++;
+    }
+
+    if (cluster.enabled()) {
+      _firstRun = false;
+      await adoptOrphans(hooks);
+    } else if (_firstRun) {
+      _firstRun = false;
+      for (const st of await listStatuses({ status: "pending", to: _bootAt })) {
+        if (hooks.isLive(st.session_id)) continue;
+        await hooks.expire(st.session_id);
+        stats.orphaned++;
+      }
+    }
+
+    await removeUnlinkedAuth(now, hooks);
+
+    removeOldExpiredStatuses(now, Number(process.env.JANITOR_EXPIRED_KEEP_HOURS ?? 24) * HOUR);
+
+    const retentionHours = Number(process.env.SESSION_RETENTION_HOURS || 0);
+    if (retentionHours > 0) await purgeDownloaded(now, retentionHours * HOUR);
+  } catch (e) {
+    stats.errors++;
+    stats.last_error = e?.message || String(e);
+    console.warn("[janitor]", stats.last_error);
+  } finally {
+    stats.runs++;
+    stats.last_run_at = started;
+    stats.last_duration_ms = Date.now() - started;
+    _running = false;
+  }
+
+  return stats;
+}
+
+function start(hooks) {
+  if (_timer) return;
+
+  const intervalMs = Number(process.env.JANITOR_INTERVAL_MS ?? 60_000);
+  setTimeout(() => sweep(hooks), 0).unref?.();
+  if (intervalMs > 0) {
+    _timer = setInterval(() => sweep(hooks), intervalMs);
+    _timer.unref?.();
+  }
+}
+
+function stop() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { start, stop, sweep, stats };
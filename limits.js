@@ -0,0 +1,255 @@
+"use strict";
+
+const { getCollection } = require("./db");
+const config = require("./config");
+
+/* =========================
+ * Abuse limits
+ * =========================
+ * Layered fixed-window counters for the login routes (/api/pair, /api/qr, /api/session/import,
+ * /api/pair/:id/refresh and the legacy /code, /qr). Every layer is "at most N per window";
+ * env overrides, 0 switches a layer off:
+ *   PAIR_LIMIT_IP_PER_MIN       12    per client IP
+ *   PAIR_LIMIT_IP_PER_DAY       200
+ *   PAIR_LIMIT_PHONE_PER_HOUR   5     pairing codes sent to one number (new pairings + refreshes)
+ *   PAIR_LIMIT_PHONE_PER_DAY    10
+ *   PAIR_LIMIT_KEY_PER_MIN      60    per API key (admin secret and open portals are not counted)
+ *   PAIR_LIMIT_KEY_PER_DAY      1000
+ * Cooldown: after PAIR_EXPIRY_STRIKES (default 3) pairings of one number expired unused within a day,
+ * that number gets no new codes for PAIR_EXPIRY_COOLDOWN_MS (default 1h). Linking clears the strikes.
+ *
+ * Counters live in LIMIT_STORE: mongo (LIMITS_COLLECTION, default "rate_limits", TTL-indexed;
+ * the default with MONGODB_URI) or memory (this process only), so restarts and several
+ * instances share them when MongoDB is configured. A store that fails lets requests through.
+ */
+
+const MIN = 60_000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+// [layer, subject, env, default, window]
+const LAYERS = [
+  ["ip_minute", "ip", "PAIR_LIMIT_IP_PER_MIN", 12, MIN],
+  ["ip_day", "ip", "PAIR_LIMIT_IP_PER_DAY", 200, DAY],
+  ["phone_hour", "phone", "PAIR_LIMIT_PHONE_PER_HOUR", 5, HOUR],
+  ["phone_day", "phone", "PAIR_LIMIT_PHONE_PER_DAY", 10, DAY],
+  ["key_minute", "key", "PAIR_LIMIT_KEY_PER_MIN", 60, MIN],
+  ["key_day", "key", "PAIR_LIMIT_KEY_PER_DAY", 1000, DAY],
+];
+
+const MESSAGES = {
+  ip: "Too many requests from this address",
+  phone: "Too many pairing codes for this number",
+  key: "Too many requests for this API key",
+  cooldown: "Too many unused codes for this number, wait before asking again",
+};
+
+function maxOf(env, def) {
+  return Math.max(0, Number(process.env[env] ?? def));
+}
+
+function strikes() {
+  return maxOf("PAIR_EXPIRY_STRIKES", 3);
+}
+
+function cooldownMs() {
+  return maxOf("PAIR_EXPIRY_COOLDOWN_MS", HOUR);
+}
+
+/* =========================
+ * Stores
+ * =========================
+ * { name, incr(key, reset_at) -> count, get(key) -> { count, reset_at } | null, set(key, count, reset_at), del(key) }
+ * A key lives until reset_at; incr starts it at 1.
+ */
+
+function memoryStore() {
+  const map = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const v = map.get(key);
+    if (v && v.reset_at <= now) map.delete(key);
+    return v && v.reset_at > now ? v : null;
+  };
+
+  return {
+    name: "memory",
+
+    async incr(key, reset_at) {
+      if (map.size > 10_000) for (const k of map.keys()) live(k);
+      const v = live(key) || { count: 0, reset_at };
+      v.count++;
+      map.set(key, v);
+      return v.count;
+    },
+
+    async get(key) {
+      const v = live(key);
+      return v ? { ...v } : null;
+    },
+
+    async set(key, count, reset_at) {
+      map.set(key, { count, reset_at });
+    },
+
+    async del(key) {
+      map.delete(key);
+    },
+  };
+}
+
+function mongoStore() {
+  let indexed = false;
+
+  const col = async () => {
+    const c = await getCollection(process.env.LIMITS_COLLECTION || "rate_limits");
+    if (!c) throw new Error("LIMIT_STORE=mongo needs MONGODB_URI");
+    if (!indexed) {
+      indexed = true;
+      try {
+        await c.createIndex({ key: 1 }, { unique: true });
+        await c.createIndex({ expire_at: 1 }, { expireAfterSeconds: 0 });
+      } catch (_) {}
+    }
+    return c;
+  };
+
+  // the TTL monitor runs about once a minute: ignore documents it has not removed yet
+  const live = (doc) => (doc && doc.reset_at > Date.now() ? doc : null);
+
+  return {
+    name: "mongo",
+
+    async incr(key, reset_at) {
+      const c = await col();
+      // window keys carry their window start, so a stale document is only ever a finished window
+      const doc = await c.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { reset_at, expire_at: new Date(reset_at) } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return doc?.count || 1;
+    },
+
+    async get(key) {
+      const doc = live(await (await col()).findOne({ key }));
+      return doc ? { count: doc.count, reset_at: doc.reset_at } : null;
+    },
+
+    async set(key, count, reset_at) {
+      await (await col()).updateOne(
+        { key },
+        { $set: { count, reset_at, expire_at: new Date(reset_at) } },
+        { upsert: true }
+      );
+    },
+
+    async del(key) {
+      await (await col()).deleteOne({ key });
+    },
+  };
+}
+
+let _store = null;
+
+function kind() {
+  const def = config.get().mongo.uri ? "mongo" : "memory";
+  return String(process.env.LIMIT_STORE || def).trim().toLowerCase();
+}
+
+function store() {
+  if (_store) return _store;
+  const k = kind();
+  if (k !== "memory" && k !== "mongo") throw new Error(`Unknown LIMIT_STORE "${k}" (use memory, mongo)`);
+  _store = k === "mongo" ? mongoStore() : memoryStore();
+  return _store;
+}
+
+/* =========================
+ * Checks
+ * ========================= */
+
+const secondsUntil = (at, now) => Math.max(1, Math.ceil((at - now) / 1000));
+
+/**
+ * Counts one request against every layer that applies to the given subjects
+ * ({ ip, phone, key }) and checks the phone cooldown.
+ * Resolves null when allowed, else { layer, retry_after (seconds), error }.
+ */
+async function take(subjects = {}) {
+  const now = Date.now();
+  let worst = null;
+
+  const reject = (layer, reset_at, error) => {
+    const retry_after = secondsUntil(reset_at, now);
+    if (!worst || retry_after > worst.retry_after) worst = { layer, retry_after, error };
+  };
+
+  try {
+    const s = store();
+
+    if (subjects.phone) {
+      const cool = await s.get(`cooldown:${subjects.phone}`);
+      if (cool) reject("cooldown", cool.reset_at, MESSAGES.cooldown);
+    }
+    if (worst) return worst;
+
+    for (const [layer, subject, env, def, windowMs] of LAYERS) {
+      const who = subjects[subject];
+      const max = maxOf(env, def);
+      if (!who || !max) continue;
+
+      const start = Math.floor(now / windowMs) * windowMs;
+      const reset_at = start + windowMs;
+      const count = await s.incr(`${layer}:${who}:${start}`, reset_at);
+      if (count > max) reject(layer, reset_at, `${MESSAGES[subject]}, try again later`);
+    }
+  } catch (e) {
+    console.warn("[limits]", e?.message || e);
+    return null;
+  }
+
+  return worst;
+}
+
+/**
+ * A pairing for this number expired unused. Resolves true when that started a cooldown.
+ */
+async function noteExpiry(phone) {
+  const max = strikes();
+  if (!phone || !max || !cooldownMs()) return false;
+
+  try {
+    const s = store();
+    const key = `strikes:${phone}`;
+    const cur = await s.get(key);
+    const count = (cur?.count || 0) + 1;
+    await s.set(key, count, cur?.reset_at || Date.now() + DAY);
+    if (count < max) return false;
+
+    await s.set(`cooldown:${phone}`, 1, Date.now() + cooldownMs());
+    await s.del(key);
+    return true;
+  } catch (e) {
+    console.warn("[limits]", e?.message || e);
+    return false;
+  }
+}
+
+// the number linked: earlier expiries were not abuse
+async function clearExpiries(phone) {
+  if (!phone) return;
+  try {
+    await store().del(`strikes:${phone}`);
+  } catch (e) {
+    console.warn("[limits]", e?.message || e);
+  }
+}
+
+function settings() {
+  const layers = {};
+  for (const [layer, , env, def] of LAYERS) layers[layer] = maxOf(env, def);
+  return { store: kind(), layers, expiry_strikes: strikes(), expiry_cooldown_ms: cooldownMs() };
+}
+
+module.exports = { LAYERS, kind, store, take, noteExpiry, clearExpiries, settings };
@@ -0,0 +1,103 @@
+"use strict";
+
+/* =========================
+ * Metrics (Prometheus text format)
+ * =========================
+ * A small in-process registry, exposed at GET /metrics (app.js, admin only).
+ * counter(name, help, labelNames) -> { inc(labels, n) }
+ * histogram(name, help, buckets, labelNames) -> { observe(labels, value) }
+ * gauge(name, help, collect) -> value read at scrape time
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const registry = new Map();
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map((l) => String(labels[l] ?? "")).join("\u0000");
+}
+
+function formatLabels(labelNames, key, extra = "") {
+  const values = key ? key.split("\u0000") : [];
+  const parts = labelNames.map((l, i) => `${l}="${String(values[i] ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    type: "counter",
+    help,
+    inc(labels = {}, n = 1) {
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) || 0) + n);
+    },
+    lines() {
+      return [...values].map(([k, v]) => `${name}${formatLabels(labelNames, k)} ${v}`);
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+function histogram(name, help, buckets, labelNames = []) {
+  const series = new Map(); // key -> { counts[], sum, count }
+  const metric = {
+    type: "histogram",
+    help,
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const k = labelKey(labelNames, labels);
+      const s = series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+      series.set(k, s);
+    },
+    lines() {
+      const out = [];
+      for (const [k, s] of series) {
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels(labelNames, k, `le="${b}"`)} ${s.counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(labelNames, k, 'le="+Inf"')} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(labelNames, k)} ${s.sum}`);
+        out.push(`${name}_count${formatLabels(labelNames, k)} ${s.count}`);
+      }
+      return out;
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+function gauge(name, help, collect) {
+  const metric = {
+    type: "gauge",
+    help,
+    lines() {
+      let v;
+      try {
+        v = Number(collect());
+      } catch (_) {
+        v = NaN;
+      }
+      return Number.isFinite(v) ? [`${name} ${v}`] : [];
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+function render() {
+  const out = [];
+  for (const [name, m] of registry) {
+    out.push(`# HELP ${name} ${m.help}`);
+    out.push(`# TYPE ${name} ${m.type}`);
+    out.push(...m.lines());
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = { CONTENT_TYPE, counter, histogram, gauge, render };
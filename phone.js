@@ -0,0 +1,271 @@
+"use strict";
+
+/* =========================
+ * Phone numbers
+ * =========================
+ * WhatsApp pairing wants the full international number, digits only
+ * (country code + national significant number, no "+", no trunk "0").
+ * Lengths below are the national significant number lengths [min, max]
+ * per calling code. keepsZero: countries whose national numbers really
+ * start with 0 (so a leading 0 after the country code is not a trunk prefix).
+ */
+
+// code: [iso, name, min, max, keepsZero?]
+const COUNTRIES = {
+  1: ["US", "United States / Canada (NANP)", 10, 10],
+  7: ["RU", "Russia / Kazakhstan", 10, 10],
+  20: ["EG", "Egypt", 9, 10],
+  27: ["ZA", "South Africa", 9, 9],
+  30: ["GR", "Greece", 10, 10],
+  31: ["NL", "Netherlands", 9, 9],
+  32: ["BE", "Belgium", 8, 9],
+  33: ["FR", "France", 9, 9],
+  34: ["ES", "Spain", 9, 9],
+  36: ["HU", "Hungary", 8, 9],
+  39: ["IT", "Italy", 6, 11, true],
+  40: ["RO", "Romania", 9, 9],
+  41: ["CH", "Switzerland", 9, 9],
+  43: ["AT", "Austria", 4, 13],
+  44: ["GB", "United Kingdom", 9, 10],
+  45: ["DK", "Denmark", 8, 8],
+  46: ["SE", "Sweden", 7, 13],
+  47: ["NO", "Norway", 8, 8],
+  48: ["PL", "Poland", 9, 9],
+  49: ["DE", "Germany", 6, 13],
+  51: ["PE", "Peru", 8, 9],
+  52: ["MX", "Mexico", 10, 10],
+  53: ["CU", "Cuba", 6, 8],
+  54: ["AR", "Argentina", 10, 11],
+  55: ["BR", "Brazil", 10, 11],
+  56: ["CL", "Chile", 9, 9],
+  57: ["CO", "Colombia", 8, 10],
+  58: ["VE", "Venezuela", 10, 10],
+  60: ["MY", "Malaysia", 7, 10],
+  61: ["AU", "Australia", 9, 9],
+  62: ["ID", "Indonesia", 8, 12],
+  63: ["PH", "Philippines", 8, 10],
+  64: ["NZ", "New Zealand", 8, 10],
+  65: ["SG", "Singapore", 8, 8],
+  66: ["TH", "Thailand", 8, 9],
+  81: ["JP", "Japan", 9, 10],
+  82: ["KR", "South Korea", 8, 10],
+  84: ["VN", "Vietnam", 9, 10],
+  86: ["CN", "China", 10, 11],
+  90: ["TR", "Turkey", 10, 10],
+  91: ["IN", "India", 10, 10],
+  92: ["PK", "Pakistan", 9, 10],
+  93: ["AF", "Afghanistan", 9, 9],
+  94: ["LK", "Sri Lanka", 9, 9],
+  95: ["MM", "Myanmar", 7, 10],
+  98: ["IR", "Iran", 10, 10],
+  211: ["SS", "South Sudan", 9, 9],
+  212: ["MA", "Morocco", 9, 9],
+  213: ["DZ", "Algeria", 8, 9],
+  216: ["TN", "Tunisia", 8, 8],
+  218: ["LY", "Libya", 9, 9],
+  220: ["GM", "Gambia", 7, 7],
+  221: ["SN", "Senegal", 9, 9],
+  222: ["MR", "Mauritania", 8, 8],
+  223: ["ML", "Mali", 8, 8],
+  224: ["GN", "Guinea", 8, 9],
+  225: ["CI", "Côte d'Ivoire", 8, 10, true],
+  226: ["BF", "Burkina Faso", 8, 8],
+  227: ["NE", "Niger", 8, 8],
+  228: ["TG", "Togo", 8, 8],
+  229: ["BJ", "Benin", 8, 10, true],
+  230: ["MU", "Mauritius", 7, 8],
+  231: ["LR", "Liberia", 7, 9],
+  232: ["SL", "Sierra Leone", 8, 8],
+  233: ["GH", "Ghana", 9, 9],
+  234: ["NG", "Nigeria", 8, 10],
+  235: ["TD", "Chad", 8, 8],
+  236: ["CF", "Central African Republic", 8, 8],
+  237: ["CM", "Cameroon", 9, 9],
+  238: ["CV", "Cape Verde", 7, 7],
+  239: ["ST", "São Tomé and Príncipe", 7, 7],
+  240: ["GQ", "Equatorial Guinea", 9, 9],
+  241: ["GA", "Gabon", 7, 8, true],
+  242: ["CG", "Congo", 9, 9, true],
+  243: ["CD", "DR Congo", 9, 9],
+  244: ["AO", "Angola", 9, 9],
+  245: ["GW", "Guinea-Bissau", 7, 9],
+  248: ["SC", "Seychelles", 7, 7],
+  249: ["SD", "Sudan", 9, 9],
+  250: ["RW", "Rwanda", 9, 9],
+  251: ["ET", "Ethiopia", 9, 9],
+  252: ["SO", "Somalia", 7, 9],
+  253: ["DJ", "Djibouti", 8, 8],
+  254: ["KE", "Kenya", 9, 9],
+  255: ["TZ", "Tanzania", 9, 9],
+  256: ["UG", "Uganda", 9, 9],
+  257: ["BI", "Burundi", 8, 8],
+  258: ["MZ", "Mozambique", 8, 9],
+  260: ["ZM", "Zambia", 9, 9],
+  261: ["MG", "Madagascar", 9, 9],
+  262: ["RE", "Réunion / Mayotte", 9, 9],
+  263: ["ZW", "Zimbabwe", 9, 9],
+  264: ["NA", "Namibia", 8, 9],
+  265: ["MW", "Malawi", 7, 9],
+  266: ["LS", "Lesotho", 8, 8],
+  267: ["BW", "Botswana", 7, 8],
+  268: ["SZ", "Eswatini", 8, 8],
+  269: ["KM", "Comoros", 7, 7],
+  290: ["SH", "Saint Helena", 4, 5],
+  291: ["ER", "Eritrea", 7, 7],
+  297: ["AW", "Aruba", 7, 7],
+  298: ["FO", "Faroe Islands", 6, 6],
+  299: ["GL", "Greenland", 6, 6],
+  350: ["GI", "Gibraltar", 8, 8],
+  351: ["PT", "Portugal", 9, 9],
+  352: ["LU", "Luxembourg", 4, 11],
+  353: ["IE", "Ireland", 7, 9],
+  354: ["IS", "Iceland", 7, 9],
+  355: ["AL", "Albania", 8, 9],
+  356: ["MT", "Malta", 8, 8],
+  357: ["CY", "Cyprus", 8, 8],
+  358: ["FI", "Finland", 5, 12],
+  359: ["BG", "Bulgaria", 8, 9],
+  370: ["LT", "Lithuania", 8, 8],
+  371: ["LV", "Latvia", 8, 8],
+  372: ["EE", "Estonia", 7, 8],
+  373: ["MD", "Moldova", 8, 8],
+  374: ["AM", "Armenia", 8, 8],
+  375: ["BY", "Belarus", 9, 9],
+  376: ["AD", "Andorra", 6, 6],
+  377: ["MC", "Monaco", 8, 9],
+  378: ["SM", "San Marino", 6, 10],
+  380: ["UA", "Ukraine", 9, 9],
+  381: ["RS", "Serbia", 8, 9],
+  382: ["ME", "Montenegro", 8, 8],
+  383: ["XK", "Kosovo", 8, 9],
+  385: ["HR", "Croatia", 8, 9],
+  386: ["SI", "Slovenia", 8, 8],
+  387: ["BA", "Bosnia and Herzegovina", 8, 9],
+  389: ["MK", "North Macedonia", 8, 8],
+  420: ["CZ", "Czechia", 9, 9],
+  421: ["SK", "Slovakia", 9, 9],
+  423: ["LI", "Liechtenstein", 7, 9],
+  500: ["FK", "Falkland Islands", 5, 5],
+  501: ["BZ", "Belize", 7, 7],
+  502: ["GT", "Guatemala", 8, 8],
+  503: ["SV", "El Salvador", 8, 8],
+  504: ["HN", "Honduras", 8, 8],
+  505: ["NI", "Nicaragua", 8, 8],
+  506: ["CR", "Costa Rica", 8, 8],
+  507: ["PA", "Panama", 7, 8],
+  509: ["HT", "Haiti", 8, 8],
+  590: ["GP", "Guadeloupe", 9, 9],
+  591: ["BO", "Bolivia", 8, 8],
+  592: ["GY", "Guyana", 7, 7],
+  593: ["EC", "Ecuador", 8, 9],
+  594: ["GF", "French Guiana", 9, 9],
+  595: ["PY", "Paraguay", 9, 9],
+  596: ["MQ", "Martinique", 9, 9],
+  597: ["SR", "Suriname", 6, 7],
+  598: ["UY", "Uruguay", 8, 8],
+  670: ["TL", "Timor-Leste", 7, 8],
+  673: ["BN", "Brunei", 7, 7],
+  674: ["NR", "Nauru", 7, 7],
+  675: ["PG", "Papua New Guinea", 7, 8],
+  676: ["TO", "Tonga", 5, 7],
+  677: ["SB", "Solomon Islands", 5, 7],
+  678: ["VU", "Vanuatu", 5, 7],
+  679: ["FJ", "Fiji", 7, 7],
+  685: ["WS", "Samoa", 5, 7],
+  852: ["HK", "Hong Kong", 8, 8],
+  853: ["MO", "Macau", 8, 8],
+  855: ["KH", "Cambodia", 8, 9],
+  856: ["LA", "Laos", 8, 10],
+  880: ["BD", "Bangladesh", 10, 10],
+  886: ["TW", "Taiwan", 8, 9],
+  960: ["MV", "Maldives", 7, 7],
+  961: ["LB", "Lebanon", 7, 8],
+  962: ["JO", "Jordan", 8, 9],
+  963: ["SY", "Syria", 9, 9],
+  964: ["IQ", "Iraq", 10, 10],
+  965: ["KW", "Kuwait", 8, 8],
+  966: ["SA", "Saudi Arabia", 9, 9],
+  967: ["YE", "Yemen", 9, 9],
+  968: ["OM", "Oman", 8, 8],
+  970: ["PS", "Palestine", 9, 9],
+  971: ["AE", "United Arab Emirates", 8, 9],
+  972: ["IL", "Israel", 8, 9],
+  973: ["BH", "Bahrain", 8, 8],
+  974: ["QA", "Qatar", 8, 8],
+  975: ["BT", "Bhutan", 8, 8],
+  976: ["MN", "Mongolia", 8, 8],
+  977: ["NP", "Nepal", 10, 10],
+  992: ["TJ", "Tajikistan", 9, 9],
+  993: ["TM", "Turkmenistan", 8, 8],
+  994: ["AZ", "Azerbaijan", 9, 9],
+  995: ["GE", "Georgia", 9, 9],
+  996: ["KG", "Kyrgyzstan", 9, 9],
+  998: ["UZ", "Uzbekistan", 9, 9],
+};
+
+const BY_ISO = new Map(Object.entries(COUNTRIES).map(([code, c]) => [c[0], code]));
+
+function country(code) {
+  const c = COUNTRIES[code];
+  return c ? { code, iso: c[0], name: c[1], min: c[2], max: c[3], keepsZero: !!c[4] } : null;
+}
+
+function fail(error) {
+  return { ok: false, error };
+}
+
+/**
+ * validatePhone("+234 803 123 4567") ->
+ *   { ok: true, number: "2348031234567", e164: "+2348031234567", country: { code, iso, name } }
+ * or { ok: false, error }.
+ *
+ * opts.country (ISO, e.g. "NG") lets a national number with a trunk 0 ("0803...") through.
+ */
+function validatePhone(raw, opts = {}) {
+  let s = String(raw || "").trim();
+  if (!s) return fail("Enter your WhatsApp number with country code");
+  if (/[a-z]/i.test(s)) return fail("Phone number can only contain digits, spaces, +, - and brackets");
+
+  let international = false;
+  if (s.startsWith("+")) {
+    international = true;
+    s = s.slice(1);
+  }
+  let digits = s.replace(/[^0-9]/g, "");
+  if (!international && digits.startsWith("00")) digits = digits.slice(2);
+  else if (digits.startsWith("0")) {
+    const home = opts.country ? BY_ISO.get(String(opts.country).toUpperCase()) : null;
+    if (!home || country(home).keepsZero) {
+      return fail(
+        "Number starts with 0 (a local trunk prefix). Drop the 0 and add your country code, e.g. 234 8031234567"
+      );
+    }
+    digits = home + digits.replace(/^0+/, "");
+  }
+
+  if (digits.length < 8) return fail("Number is too short: include the country code");
+  if (digits.length > 15) return fail("Number is too long: E.164 numbers have at most 15 digits");
+
+  let c = null;
+  for (let n = 3; n >= 1 && !c; n--) c = country(digits.slice(0, n));
+  if (!c) return fail(`Unknown country code in +${digits.slice(0, 3)}...`);
+
+  const national = digits.slice(c.code.length);
+  if (national.startsWith("0") && !c.keepsZero) {
+    return fail(`Remove the 0 after the country code: +${c.code} ${national.replace(/^0+/, "")} (${c.name})`);
+  }
+  if (national.length < c.min || national.length > c.max) {
+    const want = c.min === c.max ? `${c.min}` : `${c.min}-${c.max}`;
+    return fail(`${c.name} (+${c.code}) numbers have ${want} digits after the country code, got ${national.length}`);
+  }
+  if (c.code === "1" && /^[01]/.test(national)) return fail("US/Canada area codes cannot start with 0 or 1");
+
+  return {
+    ok: true,
+    number: digits,
+    e164: `+${digits}`,
+    country: { code: c.code, iso: c.iso, name: c.name },
+  };
+}
+
+module.exports = { validatePhone };
@@ -0,0 +1,71 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+
+/* =========================
+ * Pairing progress
+ * =========================
+ * In-process feed of what each pairing socket is doing, consumed by
+ * GET /api/events/:id (Server-Sent Events).
+ *
+ * Stages: queued, taken_over, qr, code_issued, code_retried, linked, welcome_sent, expired, error
+ */
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const HISTORY = new Map();
+const HISTORY_MAX = 50;
+const HISTORY_KEEP_MS = 15 * 60 * 1000;
+
+// sessions that never reach a terminal stage (socket closed early, taken over by another node)
+// go once nothing happened for longer than a pairing TTL (10 min) with margin
+const HISTORY_IDLE_MS = 30 * 60 * 1000;
+
+const TERMINAL = new Set(["welcome_sent", "expired", "error"]);
+
+let _pruner = null;
+
+function prune(now = Date.now()) {
+  for (const [session_id, list] of HISTORY) {
+    if (now - list[list.length - 1].at > HISTORY_IDLE_MS) HISTORY.delete(session_id);
+  }
+}
+
+function emitStage(session_id, stage, data = {}) {
+  const ev = { session_id, stage, at: Date.now(), ...data };
+
+  const list = HISTORY.get(session_id) || [];
+  list.push(ev);
+  if (list.length > HISTORY_MAX) list.shift();
+  HISTORY.set(session_id, list);
+  if (!_pruner) {
+    _pruner = setInterval(prune, 60_000);
+    _pruner.unref?.();
+  }
+
+  bus.emit(session_id, ev);
+
+  // late subscribers still get the replay for a while
+  if (TERMINAL.has(stage)) {
+    setTimeout(() => {
+      if (HISTORY.get(session_id) === list) HISTORY.delete(session_id);
+    }, HISTORY_KEEP_MS).unref?.();
+  }
+
+  return ev;
+}
+
+function history(session_id) {
+  return (HISTORY.get(session_id) || []).slice();
+}
+
+/**
+ * Returns an unsubscribe function.
+ */
+function subscribe(session_id, fn) {
+  bus.on(session_id, fn);
+  return () => bus.off(session_id, fn);
+}
+
+module.exports = { emitStage, history, subscribe, prune };
@@ -1,104 +1,37 @@
-const PastebinAPI = require('pastebin-js'),
-pastebin = new PastebinAPI('EMWTMkQAVfJa9kM-MRUrxd5Oku1U7pgL')
-const {makeid} = require('./id');
-const QRCode = require('qrcode');
-const express = require('express');
-const path = require('path');
-const fs = require('fs');
-let router = express.Router()
-const pino = require("pino");
-const {
-	default: Maher_Zubair,
-	useMultiFileAuthState,
-	jidNormalizedUser,
-	Browsers,
-	delay,
-	makeInMemoryStore,
-} = require("maher-zubair-baileys");
+/* LORDKARMA Session Generator - legacy GET /qr (PNG)
+ * Kept for old clients; runs on the same QR login as POST /api/qr.
+ * The session id comes back in the X-Session-Id header for /api/status/:id and /api/session/:id.
+ */
+"use strict";
 
-function removeFile(FilePath) {
-	if (!fs.existsSync(FilePath)) return false;
-	fs.rmSync(FilePath, {
-		recursive: true,
-		force: true
-	})
-};
-const {
-	readFile
-} = require("node:fs/promises")
-router.get('/', async (req, res) => {
-	const id = makeid();
-	async function SIGMA_MD_QR_CODE() {
-		const {
-			state,
-			saveCreds
-		} = await useMultiFileAuthState('./temp/' + id)
-		try {
-			let Qr_Code_By_Maher_Zubair = Maher_Zubair({
-				auth: state,
-				printQRInTerminal: false,
-				logger: pino({
-					level: "silent"
-				}),
-				browser: Browsers.macOS("Desktop"),
-			});
+const express = require("express");
+const { startQrLogin, requireScope, ownerFields, pairLimiter, keyLimiter } = require("./api");
+const welcome = require("./welcome");
+const audit = require("./audit");
 
-			Qr_Code_By_Maher_Zubair.ev.on('creds.update', saveCreds)
-			Qr_Code_By_Maher_Zubair.ev.on("connection.update", async (s) => {
-				const {
-					connection,
-					lastDisconnect,
-					qr
-				} = s;
-				if (qr) await res.end(await QRCode.toBuffer(qr));
-				if (connection == "open") {
-					await delay(5000);
-					let data = fs.readFileSync(__dirname + `/temp/${id}/creds.json`);
-					await delay(800);
-				   let b64data = Buffer.from(data).toString('base64');
-				   let session = await Qr_Code_By_Maher_Zubair.sendMessage(Qr_Code_By_Maher_Zubair.user.id, { text: "" + b64data });
-	
-				   let SIGMA_MD_TEXT = `
-┏━━━━━━━━━━━━━━
-┃MASTER MD SESSION IS 
-┃SUCCESSFULLY
-┃CONNECTED ✅🔥
-┗━━━━━━━━━━━━━━━
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-❶ || Creator = Sahan / MASTER MIND_👨🏻‍💻
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-❷ || WhattsApp Channel = https://whatsapp.com/channel/0029VaWWZa1G3R3c4TPADo0M
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-❸ || Owner = https://wa.me/+94720797915
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-❺ || INSTAGRAM = https://www.instagram.com/sahanmaduwantha2006?igsh=YzljYTk1ODg3Zg==
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-❻ || FaceBook = https://www.facebook.com/profile.php?id=100089180711131
-▬▬▬▬▬▬▬▬▬▬▬▬▬▬
-ᴄʀᴇᴀᴛᴇᴅ ʙʏ ᴍʀ ꜱᴀʜᴀɴ ᴏꜰᴄ
-       `
-	 await Qr_Code_By_Maher_Zubair.sendMessage(Qr_Code_By_Maher_Zubair.user.id,{text:SIGMA_MD_TEXT},{quoted:session})
+const router = express.Router();
 
+router.get("/", pairLimiter, requireScope("pair"), keyLimiter, async (req, res) => {
+  try {
+    const locale = welcome.localeFromRequest(req);
+    const out = await startQrLogin({
+      fields: { ...(locale ? { locale } : {}), ...ownerFields(req.principal) },
+      waitForSlot: true,
+      actor: audit.actorFrom(req),
+    });
+    const png = Buffer.from(out.qr.split(",")[1], "base64");
 
-
-					await delay(100);
-					await Qr_Code_By_Maher_Zubair.ws.close();
-					return await removeFile("temp/" + id);
-				} else if (connection === "close" && lastDisconnect && lastDisconnect.error && lastDisconnect.error.output.statusCode != 401) {
-					await delay(10000);
-					SIGMA_MD_QR_CODE();
-				}
-			});
-		} catch (err) {
-			if (!res.headersSent) {
-				await res.json({
-					code: "Service Unavailable"
-				});
-			}
-			console.log(err);
-			await removeFile("temp/" + id);
-		}
-	}
-	return await SIGMA_MD_QR_CODE()
+    res.set({
+      "Content-Type": "image/png",
+      "Cache-Control": "no-store",
+      "X-Session-Id": out.session_id,
+      "X-Expires-At": String(out.expires_at),
+    });
+    return res.end(png);
+  } catch (e) {
+    if (!e?.status) console.error("[qr]", e);
+    if (!res.headersSent) return res.status(e?.status || 500).json({ code: "Service Unavailable", error: e?.message });
+  }
 });
-module.exports = router
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/* LORDKARMA Session Generator - re-encrypt stored sessions under the current SESSION_ENC_KEY
+ *
+ * Usage:
+ *   SESSION_ENC_KEY=<new key> SESSION_ENC_KEYS_OLD=<old key>[,<older>] npm run rotate-keys
+ *
+ * Sealed values get their data key re-wrapped with the new key; plain values
+ * (written before encryption was enabled) get sealed. Keep the old keys in
+ * SESSION_ENC_KEYS_OLD until this has finished everywhere. Files and records that cannot be
+ * read are skipped and listed rather than aborting the run.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const vault = require("./vault");
+const storage = require("./storage");
+
+const { SESS_DIR, ACTIVE_DIR } = storage;
+
+function listDir(p) {
+  try {
+    return fs.readdirSync(p);
+  } catch (_) {
+    return [];
+  }
+}
+
+// a value that cannot be read (corrupt JSON, a key no longer configured) is reported and left as it is
+function skip(counts, where, e) {
+  counts.skipped++;
+  console.warn("[rotate-keys] skipped", `${where}:`, e?.message || e);
+}
+
+function tryReseal(counts, where, text) {
+  try {
+    return vault.reseal(text);
+  } catch (e) {
+    skip(counts, where, e);
+    return null;
+  }
+}
+
+// the record re-sealed, or null when nothing changed
+function resealRecord(counts, where, rec) {
+  if (rec.enc) {
+    const enc = tryReseal(counts, where, rec.enc);
+    return enc ? { ...rec, enc } : null;
+  }
+  return vault.SEALED_FIELDS.some((k) => k in rec) ? vault.sealRecord(rec) : null;
+}
+
+function rotateFiles(counts) {
+  for (const id of listDir(SESS_DIR)) {
+    for (const name of listDir(path.join(SESS_DIR, id))) {
+      const p = path.join(SESS_DIR, id, name);
+      const next = tryReseal(counts, p, fs.readFileSync(p, "utf-8"));
+      if (next) {
+        fs.writeFileSync(p, next);
+        counts.files++;
+      }
+    }
+  }
+
+  for (const name of listDir(ACTIVE_DIR)) {
+    const p = path.join(ACTIVE_DIR, name);
+    let rec;
+    try {
+      rec = JSON.parse(fs.readFileSync(p, "utf-8"));
+    } catch (e) {
+      skip(counts, p, e);
+      continue;
+    }
+    const next = resealRecord(counts, p, rec);
+    if (next) {
+      fs.writeFileSync(p, JSON.stringify(next, null, 2));
+      counts.statuses++;
+    }
+  }
+}
+
+// status records and auth files kept by a non-local STORAGE_BACKEND (storage.js)
+async function rotateBackend(counts) {
+  const b = storage.backend();
+  if (b.local) return;
+
+  const records = await b.listStatuses();
+  // auth files can outlive their status record: walk every stored file set, not only the listed sessions
+  const ids = new Set([...records.map((rec) => rec.session_id), ...(await b.fileIds())]);
+
+  for (const id of ids) {
+    const files = await b.files(id);
+    for (const f of await files.list()) {
+      const next = tryReseal(counts, `${b.name} ${id}/${f.name}`, f.data);
+      if (next) {
+        await files.write(f.name, next);
+        counts.files++;
+      }
+    }
+  }
+
+  for (const rec of records) {
+    const next = resealRecord(counts, `${b.name} status ${rec.session_id}`, rec);
+    if (next) {
+      await b.putStatus(rec.session_id, next);
+      counts.statuses++;
+    }
+  }
+}
+
+async function main() {
+  if (!vault.enabled()) throw new Error("Set SESSION_ENC_KEY to the key sessions should be encrypted with");
+
+  const counts = { files: 0, statuses: 0, skipped: 0 };
+  rotateFiles(counts);
+  await rotateBackend(counts);
+
+  console.log(`Re-encrypted ${counts.files} auth files and ${counts.statuses} status records.`);
+  if (counts.skipped) {
+    console.log(`Skipped ${counts.skipped} unreadable files or records (see above): keep the old keys until they are dealt with.`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((e) => {
+      console.error("[rotate-keys]", e?.message || e);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateFiles, rotateBackend };
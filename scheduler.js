@@ -0,0 +1,113 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+
+/* =========================
+ * Pairing scheduler
+ * =========================
+ * Caps how many login sockets (PAIR_SOCKETS in api.js) are open at once.
+ *   PAIR_MAX_SOCKETS  live sockets allowed at the same time (default 8)
+ *   PAIR_QUEUE_MAX    sessions allowed to wait for a slot (default 50, 0 = no queue)
+ *
+ * acquire(id) takes a slot right away or joins a FIFO queue; release(id) frees the slot
+ * (or leaves the queue) and hands it to the next waiter. "position" events report
+ * queue moves: (session_id, position), 0 meaning the session got its slot.
+ */
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const holders = new Set();
+const queue = []; // [{ session_id, queued_at, resolve, reject }]
+
+function capacity() {
+  return Math.max(1, Number(process.env.PAIR_MAX_SOCKETS || 8));
+}
+
+function maxQueue() {
+  return Math.max(0, Number(process.env.PAIR_QUEUE_MAX ?? 50));
+}
+
+function position(session_id) {
+  return queue.findIndex((q) => q.session_id === session_id) + 1;
+}
+
+function announce() {
+  queue.forEach((q, i) => events.emit("position", q.session_id, i + 1));
+}
+
+function pump() {
+  let moved = false;
+  while (queue.length && holders.size < capacity()) {
+    const next = queue.shift();
+    holders.add(next.session_id);
+    events.emit("position", next.session_id, 0);
+    next.resolve();
+    moved = true;
+  }
+  if (moved) announce();
+  return moved;
+}
+
+/**
+ * { position, ready }: position 0 = slot taken now (ready is already resolved),
+ * otherwise 1-based place in the queue. Throws with status 503 when the queue is full.
+ */
+function acquire(session_id) {
+  if (holders.has(session_id)) return { position: 0, ready: Promise.resolve() };
+
+  if (holders.size < capacity() && !queue.length) {
+    holders.add(session_id);
+    return { position: 0, ready: Promise.resolve() };
+  }
+
+  if (queue.length >= maxQueue()) {
+    const e = new Error("Pairing queue is full, try again in a minute");
+    e.status = 503;
+    throw e;
+  }
+
+  let entry;
+  const ready = new Promise((resolve, reject) => {
+    entry = { session_id, queued_at: Date.now(), resolve, reject };
+  });
+  queue.push(entry);
+  return { position: queue.length, ready };
+}
+
+/**
+ * Frees the session's slot, or takes it out of the queue (its ready promise rejects).
+ */
+function release(session_id, reason = "Left the pairing queue") {
+  if (holders.delete(session_id)) {
+    pump();
+    return;
+  }
+
+  const i = queue.findIndex((q) => q.session_id === session_id);
+  if (i < 0) return;
+  const [entry] = queue.splice(i, 1);
+  entry.reject(new Error(reason));
+  if (!pump()) announce();
+}
+
+function isHolding(session_id) {
+  return holders.has(session_id);
+}
+
+// every session holding or waiting for a slot
+function sessions() {
+  return [...holders, ...queue.map((q) => q.session_id)];
+}
+
+function stats() {
+  return {
+    capacity: capacity(),
+    active: holders.size,
+    queued: queue.length,
+    max_queue: maxQueue(),
+    queue: queue.map((q, i) => ({ session_id: q.session_id, position: i + 1, queued_at: q.queued_at })),
+  };
+}
+
+module.exports = { events, acquire, release, position, isHolding, sessions, stats };
@@ -0,0 +1,7 @@
+/* LORDKARMA Session Generator - SESSION_ID strings
+ * The implementation lives in the client package (client/session-string.js) so bots
+ * get the exact same encoder/decoder from npm; the portal requires it from here.
+ */
+"use strict";
+
+module.exports = require("./client/session-string");
@@ -0,0 +1,534 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { getCollection } = require("./db");
+const config = require("./config");
+const { fsFiles, mongoFiles, authCollection } = require("./auth-state");
+
+/* =========================
+ * Storage backends
+ * =========================
+ * Where status records and auth files live, picked with STORAGE_BACKEND:
+ *   fs      active/<id>.json + sessions/<id>/ (default without MONGODB_URI)
+ *   mongo   MONGODB_COLLECTION + MONGODB_AUTH_COLLECTION (default with MONGODB_URI)
+ *   redis   REDIS_URL, keys under REDIS_PREFIX (default "lk:"), needs the `ioredis` package
+ *   s3      S3_BUCKET (+ S3_ENDPOINT for MinIO / R2 / B2, S3_REGION, S3_PREFIX, S3_FORCE_PATH_STYLE=1,
+ *           S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY), needs the `@aws-sdk/client-s3` package
+ *   memory  this process only (tests)
+ *
+ * A backend:
+ *   name
+ *   local                        true when status records are the active/ files themselves
+ *   getStatus(id)                -> record | null
+ *   putStatus(id, record)        replaces the whole record
+ *   listStatuses(filters)        -> [record] matching filters (see matchesFilters; mongo queries its indexes)
+ *   deleteStatus(id)
+ *   files(id)                    -> file store { read, write, remove, list } (auth-state.js)
+ *   deleteFiles(id)
+ *   fileIds()                    -> [id] of every stored auth file set, with or without a status record
+ *   consumeToken(id, token_hash, at) -> true for the one caller that spends the token (tokens.js)
+ *
+ * Records arrive already sealed (vault.sealRecord) and carry their session_id.
+ * store.js keeps the local active/ file as a read-through cache whatever the backend.
+ */
+
+const SESS_DIR = path.join(process.cwd(), "sessions");
+const ACTIVE_DIR = path.join(process.cwd(), "active");
+
+const BACKENDS = ["fs", "mongo", "redis", "s3", "memory"];
+
+let _backend = null;
+
+function withId(id, record) {
+  return { ...record, session_id: id };
+}
+
+/**
+ * filters: { status, from, to, expiresBefore, downloadedBefore, unswept, readySince, checkedBefore }
+ *   status            one status or a list of them
+ *   from / to         created_at bounds in ms (inclusive)
+ *   expiresBefore     expires_at earlier than this
+ *   downloadedBefore  downloaded, earlier than this
+ *   unswept           auth files not swept by the janitor yet (no auth_swept)
+ *   readySince        ready_at at or after this
+ *   checkedBefore     no health check since this (or never checked)
+ */
+function matchesFilters(rec, filters = {}) {
+  const { status, from, to, expiresBefore, downloadedBefore, unswept, readySince, checkedBefore } = filters;
+  if (status && ![].concat(status).includes(rec.status)) return false;
+  if (from && (rec.created_at || 0) < Number(from)) return false;
+  if (to && (rec.created_at || 0) > Number(to)) return false;
+  if (expiresBefore && (rec.expires_at || 0) >= Number(expiresBefore)) return false;
+  if (downloadedBefore && !(rec.downloaded_at && rec.downloaded_at < Number(downloadedBefore))) return false;
+  if (unswept && rec.auth_swept) return false;
+  if (readySince && (rec.ready_at || 0) < Number(readySince)) return false;
+  if (checkedBefore && (rec.health_checked_at || 0) >= Number(checkedBefore)) return false;
+  return true;
+}
+
+/* =========================
+ * Filesystem
+ * ========================= */
+function fsBackend() {
+  const statusPath = (id) => path.join(ACTIVE_DIR, `${id}.json`);
+
+  const read = (id) => {
+    try {
+      return JSON.parse(fs.readFileSync(statusPath(id), "utf-8"));
+    } catch (_) {
+      return null;
+    }
+  };
+
+  return {
+    name: "fs",
+    local: true,
+
+    async getStatus(id) {
+      const rec = read(id);
+      return rec ? withId(id, rec) : null;
+    },
+
+    async putStatus(id, record) {
+      await fs.promises.mkdir(ACTIVE_DIR, { recursive: true });
+      await fs.promises.writeFile(statusPath(id), JSON.stringify(record, null, 2));
+    },
+
+    async listStatuses(filters) {
+      let names = [];
+      try {
+        names = fs.readdirSync(ACTIVE_DIR).filter((n) => n.endsWith(".json"));
+      } catch (_) {}
+
+      const out = [];
+      for (const n of names) {
+        const id = n.slice(0, -5);
+        const rec = read(id);
+        if (rec && matchesFilters(rec, filters)) out.push(withId(id, rec));
+      }
+      return out;
+    },
+
+    async deleteStatus(id) {
+      await fs.promises.rm(statusPath(id), { force: true });
+    },
+
+    files: (id) => fsFiles(path.join(SESS_DIR, id)),
+
+    async fileIds() {
+      try {
+        return fs.readdirSync(SESS_DIR, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name);
+      } catch (_) {
+        return [];
+      }
+    },
+
+    async deleteFiles(id) {
+      await fs.promises.rm(path.join(SESS_DIR, id), { recursive: true, force: true });
+    },
+
+    // read, check and write without awaiting: nothing else in this process runs in between
+    async consumeToken(id, token_hash, at) {
+      const rec = read(id);
+      if (!rec || rec.token_hash !== token_hash || rec.token_used_at) return false;
+      fs.writeFileSync(statusPath(id), JSON.stringify({ ...rec, token_used_at: at, updated_at: at }, null, 2));
+      return true;
+    },
+  };
+}
+
+/* =========================
+ * MongoDB
+ * ========================= */
+function mongoBackend() {
+  const statuses = async () => {
+    const col = await getCollection();
+    if (!col) throw new Error("STORAGE_BACKEND=mongo needs MONGODB_URI");
+    return col;
+  };
+
+  const strip = (doc) => {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return rest;
+  };
+
+  return {
+    name: "mongo",
+    local: false,
+
+    async getStatus(id) {
+      return strip(await (await statuses()).findOne({ session_id: id }));
+    },
+
+    async putStatus(id, record) {
+      await (await statuses()).replaceOne({ session_id: id }, withId(id, record), { upsert: true });
+    },
+
+    // the same filters as matchesFilters, as a query (expires_at, downloaded_at and ready_at are indexed, db.js)
+    async listStatuses({ status, from, to, expiresBefore, downloadedBefore, unswept, readySince, checkedBefore } = {}) {
+      const q = {};
+      if (status) q.status = Array.isArray(status) ? { $in: status } : status;
+      if (from || to) {
+        q.created_at = {};
+        if (from) q.created_at.$gte = Number(from);
+        if (to) q.created_at.$lte = Number(to);
+      }
+      if (expiresBefore) q.expires_at = { $lt: Number(expiresBefore) };
+      if (downloadedBefore) q.downloaded_at = { $lt: Number(downloadedBefore) };
+      if (unswept) q.auth_swept = { $ne: true };
+      if (readySince) q.ready_at = { $gte: Number(readySince) };
+      // also matches records never checked
+      if (checkedBefore) q.health_checked_at = { $not: { $gte: Number(checkedBefore) } };
+      return (await (await statuses()).find(q).toArray()).map(strip);
+    },
+
+    async deleteStatus(id) {
+      await (await statuses()).deleteOne({ session_id: id });
+    },
+
+    async files(id) {
+      const col = await authCollection();
+      if (!col) throw new Error("STORAGE_BACKEND=mongo needs MONGODB_URI");
+      return mongoFiles(col, id);
+    },
+
+    async fileIds() {
+      const col = await authCollection();
+      return col ? await col.distinct("session_id") : [];
+    },
+
+    async deleteFiles(id) {
+      const col = await authCollection();
+      if (col) await col.deleteMany({ session_id: id });
+    },
+
+    // conditional update: two instances racing on the same token cannot both win
+    async consumeToken(id, token_hash, at) {
+      const r = await (await statuses()).updateOne(
+        { session_id: id, token_hash, token_used_at: null },
+        { $set: { token_used_at: at, updated_at: at } }
+      );
+      return r.matchedCount > 0;
+    },
+  };
+}
+
+/* =========================
+ * Redis
+ * =========================
+ * <prefix>status:<id>  JSON record
+ * <prefix>statuses     set of session ids
+ * <prefix>files:<id>   hash: file name -> contents
+ * <prefix>tokens:<id>  hash: token_hash -> used at (HSETNX, single use)
+ */
+function redisBackend() {
+  const url = process.env.REDIS_URL || "";
+  if (!url) throw new Error("STORAGE_BACKEND=redis needs REDIS_URL");
+
+  const Redis = require("ioredis");
+  const redis = new Redis(url, { maxRetriesPerRequest: 3 });
+  redis.on("error", (e) => console.warn("[redis]", e?.message || e));
+
+  const prefix = process.env.REDIS_PREFIX || "lk:";
+  const statusKey = (id) => `${prefix}status:${id}`;
+  const filesKey = (id) => `${prefix}files:${id}`;
+  const tokensKey = (id) => `${prefix}tokens:${id}`;
+  const indexKey = `${prefix}statuses`;
+
+  const parse = (raw) => {
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  return {
+    name: "redis",
+    local: false,
+
+    async getStatus(id) {
+      return parse(await redis.get(statusKey(id)));
+    },
+
+    async putStatus(id, record) {
+      await redis.multi().set(statusKey(id), JSON.stringify(withId(id, record))).sadd(indexKey, id).exec();
+    },
+
+    async listStatuses(filters) {
+      const ids = await redis.smembers(indexKey);
+      if (!ids.length) return [];
+      const raws = await redis.mget(ids.map(statusKey));
+      return raws.map(parse).filter((rec) => rec && matchesFilters(rec, filters));
+    },
+
+    async deleteStatus(id) {
+      await redis.multi().del(statusKey(id)).del(tokensKey(id)).srem(indexKey, id).exec();
+    },
+
+    files(id) {
+      const key = filesKey(id);
+      return {
+        read: async (name) => await redis.hget(key, name),
+        write: async (name, data) => void (await redis.hset(key, name, data)),
+        remove: async (name) => void (await redis.hdel(key, name)),
+        async list() {
+          return Object.entries(await redis.hgetall(key)).map(([name, data]) => ({ name, data }));
+        },
+      };
+    },
+
+    async deleteFiles(id) {
+      await redis.del(filesKey(id));
+    },
+
+    // SCAN instead of KEYS: no blocking the server; it may repeat keys, hence the Set
+    async fileIds() {
+      const ids = new Set();
+      let cursor = "0";
+      do {
+        const [next, keys] = await redis.scan(cursor, "MATCH", filesKey("*"), "COUNT", 500);
+        for (const k of keys) ids.add(k.slice(filesKey("").length));
+        cursor = next;
+      } while (cursor !== "0");
+      return [...ids];
+    },
+
+    // HSETNX sets the field only if it is new: exactly one caller gets 1
+    async consumeToken(id, token_hash, at) {
+      return (await redis.hsetnx(tokensKey(id), token_hash, String(at))) === 1;
+    },
+  };
+}
+
+/* =========================
+ * S3-compatible object storage
+ * =========================
+ * <prefix>status/<id>.json
+ * <prefix>sessions/<id>/<file name>
+ * <prefix>tokens/<id>/<token_hash>  written once with If-None-Match: * (single use)
+ *
+ * Single-use tokens need conditional writes (AWS S3, R2 and MinIO have them). A store that
+ * ignores If-None-Match lets a token be spent more than once.
+ */
+function s3Backend() {
+  const Bucket = process.env.S3_BUCKET || "";
+  if (!Bucket) throw new Error("STORAGE_BACKEND=s3 needs S3_BUCKET");
+
+  const {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+  } = require("@aws-sdk/client-s3");
+
+  const s3 = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT } : {}),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "1",
+    ...(process.env.S3_ACCESS_KEY_ID
+      ? {
+          credentials: {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+          },
+        }
+      : {}),
+  });
+
+  const prefix = process.env.S3_PREFIX || "";
+  const statusKey = (id) => `${prefix}status/${id}.json`;
+  const fileKey = (id, name) => `${prefix}sessions/${id}/${name}`;
+  const tokenKey = (id, hash) => `${prefix}tokens/${id}/${hash}`;
+
+  async function getText(Key) {
+    try {
+      const r = await s3.send(new GetObjectCommand({ Bucket, Key }));
+      return await r.Body.transformToString("utf-8");
+    } catch (e) {
+      if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) return null;
+      throw e;
+    }
+  }
+
+  async function putText(Key, body, ContentType) {
+    await s3.send(new PutObjectCommand({ Bucket, Key, Body: body, ContentType }));
+  }
+
+  async function listObjects(Prefix) {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const r = await s3.send(new ListObjectsV2Command({ Bucket, Prefix, ContinuationToken }));
+      objects.push(...(r.Contents || []));
+      ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+  }
+
+  async function listKeys(Prefix) {
+    return (await listObjects(Prefix)).map((o) => o.Key);
+  }
+
+  // status key -> { etag, rec }: a listing only GETs the records that changed since the last one
+  let listed = new Map();
+
+  const parse = (raw) => {
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  return {
+    name: "s3",
+    local: false,
+
+    async getStatus(id) {
+      return parse(await getText(statusKey(id)));
+    },
+
+    async putStatus(id, record) {
+      await putText(statusKey(id), JSON.stringify(withId(id, record)), "application/json");
+    },
+
+    async listStatuses(filters) {
+      const fresh = new Map();
+      for (const { Key, ETag } of await listObjects(`${prefix}status/`)) {
+        if (!Key.endsWith(".json")) continue;
+        const hit = listed.get(Key);
+        const rec = hit && hit.etag === ETag ? hit.rec : parse(await getText(Key));
+        if (rec) fresh.set(Key, { etag: ETag, rec });
+      }
+      listed = fresh;
+      return [...fresh.values()].filter(({ rec }) => matchesFilters(rec, filters)).map(({ rec }) => ({ ...rec }));
+    },
+
+    async deleteStatus(id) {
+      await s3.send(new DeleteObjectCommand({ Bucket, Key: statusKey(id) }));
+      for (const Key of await listKeys(`${prefix}tokens/${id}/`)) await s3.send(new DeleteObjectCommand({ Bucket, Key }));
+    },
+
+    files(id) {
+      const dir = `${prefix}sessions/${id}/`;
+      return {
+        read: (name) => getText(fileKey(id, name)),
+        write: (name, data) => putText(fileKey(id, name), data, "application/json"),
+        async remove(name) {
+          await s3.send(new DeleteObjectCommand({ Bucket, Key: fileKey(id, name) }));
+        },
+        async list() {
+          const out = [];
+          for (const Key of await listKeys(dir)) {
+            const data = await getText(Key);
+            if (data != null) out.push({ name: Key.slice(dir.length), data });
+          }
+          return out;
+        },
+      };
+    },
+
+    async deleteFiles(id) {
+      const keys = await listKeys(`${prefix}sessions/${id}/`);
+      for (let i = 0; i < keys.length; i += 1000) {
+        const Objects = keys.slice(i, i + 1000).map((Key) => ({ Key }));
+        await s3.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects, Quiet: true } }));
+      }
+    },
+
+    async fileIds() {
+      const dir = `${prefix}sessions/`;
+      return [...new Set((await listKeys(dir)).map((Key) => Key.slice(dir.length).split("/")[0]))];
+    },
+
+    // create-only put: a second writer gets 412 Precondition Failed
+    async consumeToken(id, token_hash, at) {
+      try {
+        await s3.send(
+          new PutObjectCommand({ Bucket, Key: tokenKey(id, token_hash), Body: String(at), IfNoneMatch: "*" })
+        );
+        return true;
+      } catch (e) {
+        if (e?.name === "PreconditionFailed" || e?.$metadata?.httpStatusCode === 412) return false;
+        throw e;
+      }
+    },
+  };
+}
+
+/* =========================
+ * In-memory
+ * ========================= */
+function memoryBackend() {
+  const statuses = new Map();
+  const files = new Map(); // id -> Map(name -> data)
+
+  const copy = (rec) => (rec ? JSON.parse(JSON.stringify(rec)) : null);
+
+  return {
+    name: "memory",
+    local: false,
+
+    getStatus: async (id) => copy(statuses.get(id)),
+    putStatus: async (id, record) => void statuses.set(id, copy(withId(id, record))),
+    listStatuses: async (filters) => [...statuses.values()].filter((rec) => matchesFilters(rec, filters)).map(copy),
+    deleteStatus: async (id) => void statuses.delete(id),
+
+    files(id) {
+      const get = () => {
+        if (!files.has(id)) files.set(id, new Map());
+        return files.get(id);
+      };
+      return {
+        read: async (name) => get().get(name) ?? null,
+        write: async (name, data) => void get().set(name, String(data)),
+        remove: async (name) => void get().delete(name),
+        list: async () => [...get()].map(([name, data]) => ({ name, data })),
+      };
+    },
+
+    deleteFiles: async (id) => void files.delete(id),
+    fileIds: async () => [...files].filter(([, m]) => m.size).map(([id]) => id),
+
+    async consumeToken(id, token_hash, at) {
+      const rec = statuses.get(id);
+      if (!rec || rec.token_hash !== token_hash || rec.token_used_at) return false;
+      statuses.set(id, { ...rec, token_used_at: at, updated_at: at });
+      return true;
+    },
+  };
+}
+
+/* =========================
+ * Selection
+ * ========================= */
+function kind() {
+  const raw = String(process.env.STORAGE_BACKEND || "").trim().toLowerCase();
+  if (raw) return raw;
+  return config.get().mongo.uri ? "mongo" : "fs";
+}
+
+/**
+ * The configured backend (created once). Throws on an unknown STORAGE_BACKEND or missing settings.
+ */
+function backend() {
+  if (_backend) return _backend;
+
+  const k = kind();
+  if (!BACKENDS.includes(k)) throw new Error(`Unknown STORAGE_BACKEND "${k}" (use ${BACKENDS.join(", ")})`);
+
+  if (k === "mongo") _backend = mongoBackend();
+  else if (k === "redis") _backend = redisBackend();
+  else if (k === "s3") _backend = s3Backend();
+  else if (k === "memory") _backend = memoryBackend();
+  else _backend = fsBackend();
+  return _backend;
+}
+
+module.exports = { SESS_DIR, ACTIVE_DIR, BACKENDS, matchesFilters, kind, backend };
@@ -0,0 +1,213 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { fsFiles, sealedFiles } = require("./auth-state");
+const vault = require("./vault");
+const cluster = require("./cluster");
+const storage = require("./storage");
+
+/* =========================
+ * Storage
+ * =========================
+ * Status records and auth files go to the STORAGE_BACKEND (storage.js). The local
+ * active/<id>.json file is kept whatever the backend: readStatus() is synchronous.
+ */
+const { SESS_DIR, ACTIVE_DIR } = storage;
+
+function ensureDir(p) {
+  try {
+    fs.mkdirSync(p, { recursive: true });
+  } catch (_) {}
+}
+
+/* =========================
+ * Backend helpers
+ * ========================= */
+// the whole record is replaced, so fields sealed since the last write do not linger in plain text
+async function backendPut(session_id, record) {
+  try {
+    const rec = vault.sealRecord(record || {});
+    await storage.backend().putStatus(session_id, {
+      ...rec,
+      created_at: rec.created_at || Date.now(),
+      updated_at: rec.updated_at || Date.now(),
+    });
+  } catch (e) {
+    console.warn("[storage put]", e?.message || e);
+  }
+}
+
+async function backendGet(session_id) {
+  try {
+    return vault.openRecord(await storage.backend().getStatus(session_id));
+  } catch (_) {
+    return null;
+  }
+}
+/* =========================
+ * Status helpers
+ * ========================= */
+function statusPath(sessionId) {
+  return path.join(ACTIVE_DIR, `${sessionId}.json`);
+}
+
+// backend writes of one session go out in order (the last write must win on every node)
+const _dbWrites = new Map();
+
+function writeStatus(sessionId, data) {
+  const record = { ...data, updated_at: Date.now() };
+
+  ensureDir(ACTIVE_DIR);
+  try {
+    fs.writeFileSync(statusPath(sessionId), JSON.stringify(vault.sealRecord(record), null, 2));
+  } catch (_) {}
+
+  if (storage.backend().local) return;
+
+  const prev = _dbWrites.get(sessionId) || Promise.resolve();
+  const next = prev.then(() => backendPut(sessionId, record)).catch(() => {});
+  _dbWrites.set(sessionId, next);
+  next.then(() => {
+    if (_dbWrites.get(sessionId) === next) _dbWrites.delete(sessionId);
+  });
+}
+
+function readStatus(sessionId) {
+  try {
+    return vault.openRecord(JSON.parse(fs.readFileSync(statusPath(sessionId), "utf-8")));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Local status file first, then the backend record (e.g. after a redeploy).
+ * In shared-state mode (cluster.js) another node may have written since: the newer one wins.
+ */
+async function loadStatus(sessionId) {
+  const st = readStatus(sessionId);
+  if (st && !cluster.enabled()) return st;
+  if (storage.backend().local) return st;
+
+  const d = await backendGet(sessionId);
+  if (!d) return st;
+  const { _id, session_id, ...rest } = d;
+  if (st && (st.updated_at || 0) >= (rest.updated_at || 0)) return st;
+  return rest;
+}
+/* =========================
+ * Auth files
+ * ========================= */
+
+/**
+ * Where a session's creds.json + signal keys live (sealed with SESSION_ENC_KEY when set).
+ * A local folder wins (sessions made before another backend was configured);
+ * otherwise the STORAGE_BACKEND, so nothing depends on the disk surviving a redeploy.
+ */
+async function sessionFiles(sessionId) {
+  const dir = path.join(SESS_DIR, sessionId);
+  if (fs.existsSync(dir)) return sealedFiles(fsFiles(dir));
+
+  try {
+    return sealedFiles(await storage.backend().files(sessionId));
+  } catch (e) {
+    console.warn("[sessionFiles]", e?.message || e);
+  }
+
+  return sealedFiles(fsFiles(dir));
+}
+
+async function isRegisteredSession(sessionId) {
+  try {
+    const files = await sessionFiles(sessionId);
+    const creds = JSON.parse((await files.read("creds.json")) || "null");
+    return !!creds?.registered;
+  } catch (_) {
+    return false;
+  }
+}
+/**
+ * Merges fields into a record without undoing concurrent writeStatus calls: fn(current) gets the
+ * record re-read right before the write, with nothing awaited in between, and returns the fields
+ * to set (null: no write). Resolves what fn returned, null when there is no record.
+ */
+async function patchStatus(sessionId, fn) {
+  const loaded = await loadStatus(sessionId);
+  if (!loaded) return null;
+
+  const local = readStatus(sessionId);
+  const st = local && (local.updated_at || 0) >= (loaded.updated_at || 0) ? local : loaded;
+  const fields = fn(st);
+  if (fields) writeStatus(sessionId, { ...st, ...fields });
+  return fields;
+}
+
+/* =========================
+ * Listing + removal
+ * ========================= */
+/**
+ * All known status records (backend + local active/ files), newest first.
+ * filters: { phone, ...storage.js matchesFilters }; the backend gets all but phone (sealed at rest)
+ */
+async function listStatuses({ phone, ...filters } = {}) {
+  const byId = new Map();
+
+  try {
+    const b = storage.backend();
+    if (!b.local) {
+      for (const d of await b.listStatuses(filters)) byId.set(d.session_id, vault.openRecord(d));
+    }
+  } catch (e) {
+    console.warn("[listStatuses]", e?.message || e);
+  }
+
+  let names = [];
+  try {
+    names = fs.readdirSync(ACTIVE_DIR).filter((n) => n.endsWith(".json"));
+  } catch (_) {}
+  for (const n of names) {
+    const session_id = n.slice(0, -5);
+    if (byId.has(session_id)) continue;
+    const st = readStatus(session_id);
+    if (st) byId.set(session_id, { session_id, ...st });
+  }
+
+  const digits = phone ? String(phone).replace(/[^0-9]/g, "") : "";
+  return [...byId.values()]
+    .filter((st) => storage.matchesFilters(st, filters))
+    .filter((st) => !digits || String(st.phone || "").includes(digits))
+    .sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+}
+
+/**
+ * Removes every trace of a session: local auth folder and status file, backend record and files.
+ */
+async function purgeSession(session_id) {
+  try { fs.rmSync(path.join(SESS_DIR, session_id), { recursive: true, force: true }); } catch (_) {}
+  try { fs.rmSync(statusPath(session_id), { force: true }); } catch (_) {}
+
+  try {
+    const b = storage.backend();
+    await b.deleteStatus(session_id);
+    await b.deleteFiles(session_id);
+  } catch (e) {
+    console.warn("[purgeSession]", e?.message || e);
+  }
+}
+
+module.exports = {
+  SESS_DIR,
+  ACTIVE_DIR,
+  ensureDir,
+  statusPath,
+  writeStatus,
+  readStatus,
+  loadStatus,
+  patchStatus,
+  sessionFiles,
+  isRegisteredSession,
+  listStatuses,
+  purgeSession,
+};
@@ -0,0 +1,39 @@
+"use strict";
+
+// the default fs backend, where single use rests on storage.js consumeToken alone
+process.env.TEST_STORAGE_BACKEND = "fs";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fake, startPortal, waitFor, tokenFromWelcome } = require("./helpers");
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+test("concurrent downloads with one token: exactly one succeeds", async () => {
+  const number = "2348031234581";
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 200, r.text);
+  await fake.link(fake.forPhone(number));
+  const token = await waitFor(() => tokenFromWelcome(number), { what: "welcome DM" });
+
+  const results = await Promise.all(
+    ["zip", "string", "creds-json", "zip"].map((format) =>
+      portal.get(`/api/session/${r.body.session_id}?format=${format}`, { headers: { "X-DOWNLOAD-TOKEN": token } })
+    )
+  );
+
+  assert.deepEqual(results.map((x) => x.status).sort(), [200, 403, 403, 403]);
+  for (const x of results.filter((x) => x.status === 403)) assert.match(x.body.error, /used/);
+
+  const st = (await portal.get(`/api/status/${r.body.session_id}`)).body;
+  assert.equal(st.downloads, 1);
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+
+const { SECRET, fake, startPortal, waitFor } = require("./helpers");
+const vault = require("../vault");
+const config = require("../config");
+const client = require("../client");
+
+// at-rest encryption on for this whole file (helpers.js clears it)
+const AT_REST = "11".repeat(32);
+const EXPORT = "22".repeat(32);
+process.env.SESSION_ENC_KEY = AT_REST;
+
+const FORMATS = ["zip", "tgz", "creds-json", "creds-b64", "string"];
+
+let portal;
+let session_id;
+
+before(async () => {
+  portal = await startPortal();
+  const number = "2348031234611";
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 200, r.text);
+  session_id = r.body.session_id;
+  await fake.link(fake.forPhone(number));
+  await waitFor(async () => (await portal.get(`/api/status/${session_id}`)).body.status === "ready", { what: "ready" });
+});
+
+after(async () => {
+  delete process.env.SESSION_ENC_KEY;
+  delete process.env.EXPORT_ENC_KEY;
+  await portal.close();
+});
+
+async function newToken() {
+  const t = await portal.post(`/api/admin/sessions/${session_id}/token`);
+  assert.equal(t.status, 200, t.text);
+  return t.body.download_token;
+}
+
+async function download(format, encoding = "json") {
+  const token = await newToken();
+  return portal.get(`/api/session/${session_id}?format=${format}&encoding=${encoding}`, {
+    headers: { "X-DOWNLOAD-TOKEN": token },
+  });
+}
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+test("without EXPORT_ENC_KEY every format is plain, also with SESSION_ENC_KEY", async () => {
+  for (const format of FORMATS) {
+    const r = await download(format);
+    assert.equal(r.status, 200, r.text);
+    assert.equal(r.body.sealed, undefined, format);
+    const data = Buffer.from(r.body.data, r.body.data_encoding === "base64" ? "base64" : "utf-8");
+    assert.equal(sha256(data), r.body.sha256, format);
+  }
+});
+
+test("with EXPORT_ENC_KEY every format is sealed with it, never with the at-rest key", async () => {
+  process.env.EXPORT_ENC_KEY = EXPORT;
+  try {
+    for (const format of FORMATS) {
+      const r = await download(format);
+      assert.equal(r.status, 200, r.text);
+      assert.equal(r.body.encrypted, true, format);
+      assert.equal(r.body.data, undefined, format);
+      assert.equal(sha256(vault.openWith(EXPORT, r.body.sealed)), r.body.sha256, format);
+      assert.throws(() => vault.open(r.body.sealed), /No key/, format);
+    }
+
+    const bin = await download("string", "binary");
+    assert.match(bin.headers.get("content-disposition"), /\.sealed\.json"/);
+    assert.equal(sha256(vault.openWith(EXPORT, bin.text)), bin.headers.get("x-checksum-sha256"));
+  } finally {
+    delete process.env.EXPORT_ENC_KEY;
+  }
+});
+
+test("the client and lk-restore open sealed exports with the export key", async () => {
+  process.env.EXPORT_ENC_KEY = EXPORT;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lk-restore-"));
+  const opts = { baseUrl: portal.base, sessionId: session_id, secret: SECRET, minDelayMs: 10 };
+  try {
+    await assert.rejects(
+      client.restoreSession({ ...opts, token: await newToken(), dir: path.join(dir, "none") }),
+      (e) => e.code === "key"
+    );
+
+    const r = await client.restoreSession({ ...opts, token: await newToken(), exportKey: EXPORT, dir: path.join(dir, "lib") });
+    assert.ok(r.files.includes("creds.json"));
+    const creds = JSON.parse(fs.readFileSync(path.join(dir, "lib", "creds.json"), "utf-8"));
+    assert.equal(creds.registered, true);
+
+    const cli = path.join(__dirname, "..", "client", "bin", "lk-restore.js");
+    const args = ["--url", portal.base, "--id", session_id, "--token", await newToken(), "--dir", path.join(dir, "cli"), "-q"];
+    await promisify(execFile)(process.execPath, [cli, ...args], {
+      env: { ...process.env, LK_SECRET: SECRET, LK_EXPORT_KEY: EXPORT },
+      timeout: 20_000,
+    });
+    assert.deepEqual(fs.readdirSync(path.join(dir, "cli")).sort(), [...r.files].sort());
+  } finally {
+    delete process.env.EXPORT_ENC_KEY;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("config refuses the at-rest key as the export key", () => {
+  assert.throws(
+    () => config.load({ SESSION_ENC_KEY: AT_REST, EXPORT_ENC_KEY: Buffer.from(AT_REST, "hex").toString("base64") }),
+    /EXPORT_ENC_KEY must not be SESSION_ENC_KEY/
+  );
+});
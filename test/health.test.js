@@ -0,0 +1,116 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { startPortal } = require("./helpers");
+const config = require("../config");
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+test("health is public and touches nothing", async () => {
+  const r = await portal.get("/api/health", { secret: null });
+  assert.equal(r.status, 200, r.text);
+  assert.equal(r.body.status, "ok");
+  assert.ok(r.body.node_id);
+});
+
+test("ready reports every dependency", async () => {
+  const r = await portal.get("/api/ready", { secret: null });
+  assert.equal(r.status, 200, r.text);
+  assert.equal(r.body.status, "ready");
+
+  const byName = Object.fromEntries(r.body.checks.map((c) => [c.name, c]));
+  assert.equal(byName.storage.ok, true);
+  assert.equal(byName.storage.backend, "memory");
+  assert.equal(byName.whatsapp.ok, true);
+  assert.equal(byName.whatsapp.critical, false);
+  assert.equal(byName.mongo, undefined, "no MongoDB configured");
+});
+
+test("config: defaults, parsing and every bad value at once", () => {
+  const c = config.load({ SESSION_SECRET: "long-enough", CORS_ORIGIN: "https://a.example, https://b.example" });
+  assert.equal(c.port, 8000);
+  assert.deepEqual(c.corsOrigin, ["https://a.example", "https://b.example"]);
+  assert.equal(c.mongo.db, "lordkarma");
+  assert.ok(Object.isFrozen(c));
+
+  assert.throws(
+    () =>
+      config.load({
+        PORT: "80a",
+        SESSION_SECRET: "short",
+        CORS_ORIGIN: "example.com",
+        MONGODB_URI: "localhost:27017",
+        MONGODB_DB: "my.db",
+        VERIFY_TIMEOUT_MS: "-1",
+      }),
+    (e) => {
+      assert.equal(e.problems.length, 6);
+      for (const name of ["PORT", "SESSION_SECRET", "CORS_ORIGIN", "MONGODB_URI", "MONGODB_DB", "VERIFY_TIMEOUT_MS"]) {
+        assert.ok(e.problems.some((p) => p.startsWith(name)), name);
+      }
+      return true;
+    }
+  );
+});
+
+test("config: settings read by other modules are checked too", () => {
+  const bad = {
+    SESSION_ENC_KEY: "not-a-key",
+    SESSION_ENC_KEYS_OLD: `${"a".repeat(64)}, short`,
+    STORAGE_BACKEND: "dropbox",
+    WA_DRIVER: "selenium",
+    LIMIT_STORE: "mongo",
+    DOWNLOAD_TOKEN_TTL_MS: "30m",
+    PAIR_LIMIT_IP_PER_MIN: "ten",
+    PAIR_LIMIT_IP_PER_DAY: "-1",
+    PAIR_LIMIT_PHONE_PER_HOUR: "1.5",
+    PAIR_LIMIT_PHONE_PER_DAY: "x",
+    PAIR_LIMIT_KEY_PER_MIN: "NaN",
+    PAIR_LIMIT_KEY_PER_DAY: "1e",
+    PAIR_EXPIRY_STRIKES: "three",
+    PAIR_EXPIRY_COOLDOWN_MS: "1h",
+  };
+
+  for (const [name, value] of Object.entries(bad)) {
+    assert.throws(
+      () => config.load({ [name]: value }),
+      (e) => e.problems.length === 1 && e.problems[0].startsWith(name),
+      name
+    );
+  }
+  assert.throws(() => config.load({ STORAGE_BACKEND: "mongo" }), /STORAGE_BACKEND=mongo needs MONGODB_URI/);
+
+  const ok = {
+    SESSION_ENC_KEY: "a".repeat(64),
+    SESSION_ENC_KEYS_OLD: Buffer.alloc(32, 1).toString("base64"),
+    STORAGE_BACKEND: "S3",
+    WA_DRIVER: "fake",
+    LIMIT_STORE: "memory",
+    DOWNLOAD_TOKEN_TTL_MS: "600000",
+    PAIR_LIMIT_IP_PER_MIN: "0",
+    PAIR_EXPIRY_COOLDOWN_MS: "3600000",
+  };
+  assert.ok(config.load(ok));
+});
+
+test("the entrypoint exits before listening on a bad value", () => {
+  const r = spawnSync(process.execPath, [path.join(__dirname, "..", "Maher-Zubair.js")], {
+    env: { ...process.env, PORT: "99999" },
+    encoding: "utf-8",
+    timeout: 10_000,
+  });
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /PORT must be an integer 1-65535/);
+});
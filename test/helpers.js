@@ -0,0 +1,99 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/* =========================
+ * Test portal
+ * =========================
+ * The real app on a random port, fully offline: the fake WhatsApp driver (fake-wa.js),
+ * in-memory storage (TEST_STORAGE_BACKEND picks another) and a scratch working directory
+ * for active/, audit/ and accounts/.
+ * Require this before anything else from the repo: settings are read at require time.
+ * Not a test file itself: `npm test` runs test/*.test.js only.
+ */
+
+const SECRET = "test-secret";
+
+const ROOT = path.join(__dirname, "..");
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), "lk-portal-"));
+
+Object.assign(process.env, {
+  WA_DRIVER: "fake",
+  WA_FAKE_SCENARIO: "manual",
+  STORAGE_BACKEND: process.env.TEST_STORAGE_BACKEND || "memory",
+  SESSION_SECRET: SECRET,
+  JANITOR_INTERVAL_MS: "0",
+  VERIFY_MIN_INTERVAL_MS: "0",
+  WEBHOOK_URL: "",
+  MONGODB_URI: "",
+});
+delete process.env.SESSION_ENC_KEY;
+process.chdir(workdir);
+
+const fake = require(path.join(ROOT, "fake-wa"));
+const app = require(path.join(ROOT, "app"));
+
+async function startPortal() {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, url, { body, headers = {}, secret = SECRET } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(secret ? { "X-SESSION-SECRET": secret } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {}
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  return {
+    base,
+    call,
+    get: (url, opts) => call("GET", url, opts),
+    post: (url, body, opts) => call("POST", url, { ...opts, body }),
+    async close() {
+      fake.reset();
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(workdir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Polls fn() until it returns something truthy (default 2s).
+ */
+async function waitFor(fn, { timeoutMs = 2000, stepMs = 20, what = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const v = await fn();
+    if (v) return v;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, stepMs));
+  }
+}
+
+// the one-time download token out of the welcome DM the fake "phone" received
+function tokenFromWelcome(phone) {
+  const number = String(phone).replace(/[^0-9]/g, "");
+  for (const m of [...fake.sent].reverse()) {
+    if (!String(m.jid).startsWith(number)) continue;
+    const t = /dl_[A-Za-z0-9_-]{43}/.exec(m.content?.text || "");
+    if (t) return t[0];
+  }
+  return null;
+}
+
+module.exports = { SECRET, fake, startPortal, waitFor, tokenFromWelcome };
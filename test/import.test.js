@@ -0,0 +1,114 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+const { fake, startPortal, waitFor } = require("./helpers");
+const { sessionFiles } = require("../store");
+const bundle = require("../bundle");
+const { parseImport } = require("../importer");
+
+let portal;
+let source; // auth files of a session linked on the portal
+
+before(async () => {
+  portal = await startPortal();
+
+  const number = "2348031234591";
+  const r = await portal.post("/api/pair", { number });
+  await fake.link(fake.forPhone(number));
+  await waitFor(async () => (await portal.get(`/api/status/${r.body.session_id}`)).body.status === "ready", {
+    what: "ready",
+  });
+  await waitFor(() => fake.forPhone(number).fake.closed, { what: "login socket closed" });
+  source = await (await sessionFiles(r.body.session_id)).list();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+const as = async (format) => (await bundle.buildBundle("src", source, format)).body;
+
+test("every accepted format becomes a ready session that downloads", async () => {
+  const creds = (await as("creds-json")).toString("utf-8");
+  const uploads = [
+    { data: JSON.parse(creds) },
+    { data: creds },
+    { data: (await as("creds-b64")).toString("utf-8") },
+    { data: (await as("zip")).toString("base64") },
+    { data: (await as("string")).toString("utf-8"), format: "string" },
+  ];
+  const expected = ["creds-json", "creds-json", "creds-b64", "zip", "string"];
+
+  for (const [i, body] of uploads.entries()) {
+    const r = await portal.post("/api/session/import", body);
+    assert.equal(r.status, 200, r.text);
+    assert.match(r.body.session_id, /^LK-/);
+    assert.equal(r.body.phone, "2348031234591");
+    assert.match(r.body.download_token, /^dl_/);
+
+    const st = (await portal.get(`/api/status/${r.body.session_id}`)).body;
+    assert.equal(st.status, "ready");
+    assert.equal(st.mode, "import");
+    assert.equal(st.import_format, expected[i]);
+
+    const files = await (await sessionFiles(r.body.session_id)).list();
+    assert.equal(files.length, i < 3 ? 1 : source.length);
+
+    const dl = await portal.get(`/api/session/${r.body.session_id}?format=creds-json`, {
+      headers: { "X-DOWNLOAD-TOKEN": r.body.download_token },
+    });
+    assert.equal(dl.status, 200, dl.text);
+    assert.deepEqual(JSON.parse(dl.body.data), JSON.parse(creds));
+  }
+});
+
+test("verify: linked creds pass, logged-out creds are refused", async () => {
+  const data = (await as("creds-b64")).toString("utf-8");
+
+  const ok = await portal.post("/api/session/import", { data, verify: true });
+  assert.equal(ok.status, 200, ok.text);
+  assert.equal(ok.body.verify.result, "valid");
+  assert.equal((await portal.get(`/api/status/${ok.body.session_id}`)).body.health, "valid");
+
+  fake.logoutDevice("2348031234591");
+  const lost = await portal.post("/api/session/import", { data, verify: true });
+  assert.equal(lost.status, 422, lost.text);
+});
+
+test("unlinked creds and unreadable uploads are refused", async () => {
+  const creds = JSON.parse((await as("creds-json")).toString("utf-8"));
+  delete creds.me;
+  creds.registered = false;
+  assert.equal((await portal.post("/api/session/import", { data: creds })).status, 422);
+
+  assert.equal((await portal.post("/api/session/import", { data: "not a session" })).status, 400);
+  assert.equal((await portal.post("/api/session/import", { data: { hello: 1 } })).status, 400);
+  assert.equal((await portal.post("/api/session/import", { data: "x", format: "tar" })).status, 400);
+});
+
+// straight to the parser: the HTTP calls above already use this file's share of the IP limit
+test("a session string that unpacks past 20 MB is refused", () => {
+  const packed = zlib.gzipSync(Buffer.alloc(25 * 1024 * 1024, 32), { level: 9 });
+  const sum = crypto.createHash("sha256").update(packed).digest("hex").slice(0, 8);
+  const data = `LORDKARMA~1.${packed.toString("base64url")}.${sum}`;
+
+  assert.throws(
+    () => parseImport({ data }),
+    (e) => e.status === 400 && /more than \d+ bytes/.test(e.message)
+  );
+});
+
+test("creds whose me.id is not a phone number are refused", async () => {
+  const creds = JSON.parse((await as("creds-json")).toString("utf-8"));
+  for (const id of ["<script>:1@s.whatsapp.net", "123:4@s.whatsapp.net", "99912345678:1@s.whatsapp.net"]) {
+    assert.throws(
+      () => parseImport({ data: { ...creds, me: { ...creds.me, id } } }),
+      (e) => e.status === 400 && /me\.id is not a WhatsApp number/.test(e.message),
+      id
+    );
+  }
+});
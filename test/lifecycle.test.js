@@ -0,0 +1,214 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fake, startPortal, waitFor, tokenFromWelcome } = require("./helpers");
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+async function linked(number) {
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 200, r.text);
+  await fake.link(fake.forPhone(number));
+  await waitFor(async () => (await portal.get(`/api/status/${r.body.session_id}`)).body.status === "ready", {
+    what: "ready",
+  });
+  const token = await waitFor(() => tokenFromWelcome(number), { what: "welcome DM" });
+  // the login socket lingers a moment after the welcome DM
+  await waitFor(() => fake.forPhone(number).fake.closed, { what: "login socket closed" });
+  return { session_id: r.body.session_id, token };
+}
+
+test("verify: valid, then logged out from the phone", async () => {
+  const { session_id, token } = await linked("2348031234571");
+
+  const ok = await portal.post(`/api/session/${session_id}/verify`);
+  assert.equal(ok.status, 200, ok.text);
+  assert.equal(ok.body.result, "valid");
+
+  fake.logoutDevice("2348031234571");
+  const lost = await portal.post(`/api/session/${session_id}/verify`);
+  assert.equal(lost.body.result, "logged_out");
+  assert.equal(lost.body.status, "logged_out");
+
+  const st = (await portal.get(`/api/status/${session_id}`)).body;
+  assert.equal(st.status, "logged_out");
+  assert.equal(st.health, "logged_out");
+
+  const dl = await portal.get(`/api/session/${session_id}?format=string`, { headers: { "X-DOWNLOAD-TOKEN": token } });
+  assert.equal(dl.status, 410);
+});
+
+test("verify refuses sessions that never linked", async () => {
+  const r = await portal.post("/api/pair", { number: "2348031234572" });
+  const v = await portal.post(`/api/session/${r.body.session_id}/verify`);
+  assert.equal(v.status, 409);
+});
+
+test("revoked sessions cannot be exported", async () => {
+  const { session_id, token } = await linked("2348031234573");
+
+  const rv = await portal.post(`/api/admin/sessions/${session_id}/revoke`);
+  assert.equal(rv.status, 200, rv.text);
+  assert.equal(rv.body.logout, "logged_out");
+
+  assert.equal((await portal.get(`/api/status/${session_id}`)).body.status, "revoked");
+  const dl = await portal.get(`/api/session/${session_id}?format=string`, { headers: { "X-DOWNLOAD-TOKEN": token } });
+  assert.equal(dl.status, 410);
+});
+
+test("CLAIM_ON_DOWNLOAD: the first download claims the session", async () => {
+  const { session_id, token } = await linked("2348031234574");
+
+  process.env.CLAIM_ON_DOWNLOAD = "1";
+  try {
+    const dl = await portal.get(`/api/session/${session_id}?format=creds-json`, {
+      headers: { "X-DOWNLOAD-TOKEN": token },
+    });
+    assert.equal(dl.status, 200, dl.text);
+    assert.equal(JSON.parse(dl.body.data).registered, true);
+    assert.equal((await portal.get(`/api/status/${session_id}`)).body.status, "claimed");
+
+    const fresh = await portal.post(`/api/admin/sessions/${session_id}/token`);
+    assert.equal(fresh.status, 409);
+  } finally {
+    delete process.env.CLAIM_ON_DOWNLOAD;
+  }
+});
+
+test("admin token reissue replaces the old token", async () => {
+  const { session_id, token } = await linked("2348031234575");
+
+  const fresh = await portal.post(`/api/admin/sessions/${session_id}/token`);
+  assert.equal(fresh.status, 200);
+
+  const old = await portal.get(`/api/session/${session_id}?format=string`, { headers: { "X-DOWNLOAD-TOKEN": token } });
+  assert.equal(old.status, 403);
+  const dl = await portal.get(`/api/session/${session_id}?format=string`, {
+    headers: { "X-DOWNLOAD-TOKEN": fresh.body.download_token },
+  });
+  assert.equal(dl.status, 200);
+});
+
+test("audit trail follows the session", async () => {
+  const { session_id } = await linked("2348031234576");
+  const r = await portal.get(`/api/admin/audit?session_id=${session_id}`);
+  const events = r.body.entries.map((e) => e.event);
+  for (const e of ["session.created", "session.linked", "session.token_issued"]) assert.ok(events.includes(e), e);
+});
+
+test("janitor: each step asks the backend for only the records it acts on", async () => {
+  const storage = require("../storage");
+  const { writeStatus, readStatus } = require("../store");
+  const b = storage.backend();
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+
+  writeStatus("LK-jan-overdue", { status: "pending", created_at: now - HOUR, expires_at: now - 1000 });
+  writeStatus("LK-jan-old", { status: "claimed", created_at: now - 3 * HOUR, downloaded_at: now - 2 * HOUR });
+  writeStatus("LK-jan-recent", { status: "ready", created_at: now - HOUR, downloaded_at: now - 1000 });
+  await waitFor(async () => await b.getStatus("LK-jan-recent"), { what: "backend write" });
+
+  const asked = [];
+  const list = b.listStatuses;
+  b.listStatuses = async (filters) => {
+    asked.push(filters);
+    return list(filters);
+  };
+  process.env.SESSION_RETENTION_HOURS = "1";
+  try {
+    const r = await portal.post("/api/admin/janitor/run");
+    assert.equal(r.status, 200, r.text);
+  } finally {
+    b.listStatuses = list;
+    delete process.env.SESSION_RETENTION_HOURS;
+  }
+
+  assert.ok(asked.length > 0);
+  for (const f of asked) assert.ok(Object.keys(f).length > 0, "no unfiltered listing");
+  assert.ok(asked.some((f) => f.status === "pending" && f.expiresBefore));
+  assert.ok(asked.some((f) => f.downloadedBefore));
+
+  assert.equal(readStatus("LK-jan-overdue").status, "expired");
+  assert.equal(readStatus("LK-jan-old"), null);
+  assert.equal(readStatus("LK-jan-recent").status, "ready");
+});
+
+test("verifier: asks the backend only for recent ready sessions due a check", async () => {
+  const storage = require("../storage");
+  const verifier = require("../verifier");
+  const { writeStatus } = require("../store");
+  const b = storage.backend();
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+
+  writeStatus("LK-ver-due", { status: "ready", created_at: now - HOUR, ready_at: now - HOUR });
+  writeStatus("LK-ver-checked", { status: "claimed", created_at: now - HOUR, ready_at: now - HOUR, health_checked_at: now });
+  writeStatus("LK-ver-old", { status: "ready", created_at: now - 9 * HOUR, ready_at: now - 9 * HOUR });
+  writeStatus("LK-ver-pending", { status: "pending", created_at: now, expires_at: now + HOUR });
+  await waitFor(async () => await b.getStatus("LK-ver-pending"), { what: "backend write" });
+
+  const asked = [];
+  const list = b.listStatuses;
+  b.listStatuses = async (filters) => {
+    asked.push(filters);
+    return list(filters);
+  };
+  const verified = [];
+  process.env.VERIFY_RECHECK_HOURS = "2";
+  try {
+    await verifier.sweep({ verify: async (id) => (verified.push(id), { result: "valid" }) });
+  } finally {
+    b.listStatuses = list;
+    delete process.env.VERIFY_RECHECK_HOURS;
+  }
+
+  assert.equal(asked.length, 1);
+  assert.deepEqual(asked[0].status, ["ready", "claimed"]);
+  assert.ok(asked[0].readySince && asked[0].checkedBefore);
+  assert.ok(verified.includes("LK-ver-due"));
+  for (const id of ["LK-ver-checked", "LK-ver-old", "LK-ver-pending"]) assert.ok(!verified.includes(id), id);
+});
+
+test("progress history of sessions that never finish expires by age", () => {
+  const progress = require("../progress");
+  const now = Date.now();
+
+  progress.emitStage("LK-prog-stale", "code_issued", { at: now - 31 * 60 * 1000 });
+  progress.emitStage("LK-prog-live", "code_issued");
+  progress.prune(now);
+
+  assert.deepEqual(progress.history("LK-prog-stale"), []);
+  assert.equal(progress.history("LK-prog-live").length, 1);
+});
+
+test("admin filters reach storage as strings, never as query operators", async () => {
+  const b = require("../storage").backend();
+  const asked = [];
+  const list = b.listStatuses;
+  b.listStatuses = async (filters) => {
+    asked.push(filters);
+    return list(filters);
+  };
+  try {
+    const r = await portal.get("/api/admin/sessions?status[$ne]=x&phone[$ne]=1");
+    assert.equal(r.status, 200, r.text);
+    assert.equal(r.body.total, 0);
+  } finally {
+    b.listStatuses = list;
+  }
+  assert.equal(typeof asked[0].status, "string");
+
+  const audit = await portal.get("/api/admin/audit?event[$ne]=x");
+  assert.equal(audit.status, 200, audit.text);
+  assert.deepEqual(audit.body.entries, []);
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fake, startPortal, waitFor } = require("./helpers");
+const limits = require("../limits");
+
+process.env.PAIR_LIMIT_PHONE_PER_HOUR = "2";
+process.env.PAIR_LIMIT_KEY_PER_MIN = "1";
+process.env.PAIR_EXPIRY_STRIKES = "2";
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+// the limits use fixed one-minute windows: leave a check room to finish inside one
+async function roomInMinute(ms = 15_000) {
+  const left = 60_000 - (Date.now() % 60_000);
+  if (left < ms) await new Promise((r) => setTimeout(r, left + 50));
+}
+
+// a pairing that fails right away, so the number is free for the next one
+async function pairAndDrop(number) {
+  const r = await portal.post("/api/pair", { number });
+  if (r.status === 200) fake.close(fake.forPhone(number));
+  return r;
+}
+
+test("one number gets a limited number of codes", async () => {
+  const number = "2348031234601";
+  assert.equal((await pairAndDrop(number)).status, 200);
+  assert.equal((await pairAndDrop(number)).status, 200);
+
+  const r = await pairAndDrop(number);
+  assert.equal(r.status, 429, r.text);
+  assert.ok(Number(r.headers.get("retry-after")) > 0);
+  assert.equal(r.body.retry_after, Number(r.headers.get("retry-after")));
+});
+
+test("repeated expiries put the number on a cooldown", async () => {
+  const number = "2348031234602";
+  for (let i = 0; i < 2; i++) {
+    const r = await portal.post("/api/pair", { number });
+    assert.equal(r.status, 200, r.text);
+    fake.timeout(fake.forPhone(number));
+    await waitFor(async () => (await portal.get(`/api/status/${r.body.session_id}`)).body.status === "expired", {
+      what: "expired",
+    });
+  }
+
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 429, r.text);
+  assert.match(r.body.error, /unused codes/);
+  assert.ok(Number(r.headers.get("retry-after")) > 3000);
+});
+
+test("a slow limit store cannot let two pairings for one number through", async () => {
+  const store = limits.store();
+  const incr = store.incr;
+  store.incr = async (...args) => {
+    await new Promise((r) => setTimeout(r, 100));
+    return incr.apply(store, args);
+  };
+  const number = "2348031234604";
+  try {
+    const both = await Promise.all([portal.post("/api/pair", { number }), portal.post("/api/pair", { number })]);
+    assert.deepEqual(both.map((r) => r.status).sort(), [200, 409]);
+  } finally {
+    store.incr = incr;
+    fake.close(fake.forPhone(number));
+  }
+});
+
+test("API keys have their own limit", async () => {
+  const account = (await portal.post("/api/admin/accounts", { name: "limits" })).body.account;
+  const { key } = (await portal.post(`/api/admin/accounts/${account.account_id}/keys`, { scopes: ["pair"] })).body;
+  const opts = { secret: null, headers: { "X-API-KEY": key } };
+
+  await roomInMinute();
+  assert.equal((await portal.post("/api/qr", {}, opts)).status, 200);
+  const r = await portal.post("/api/qr", {}, opts);
+  assert.equal(r.status, 429, r.text);
+  assert.ok(Number(r.headers.get("retry-after")) <= 60);
+});
+
+test("per-IP limit covers the legacy /code route too", async () => {
+  await roomInMinute();
+  let r;
+  for (let i = 0; i < 13; i++) {
+    r = await portal.post("/api/pair", { number: "1" });
+    if (r.status === 429) break;
+  }
+  assert.equal(r.status, 429, r.text);
+  assert.ok(Number(r.headers.get("retry-after")) <= 60);
+
+  const legacy = await portal.get("/code?number=2348031234603");
+  assert.equal(legacy.status, 429);
+  assert.ok(legacy.headers.get("retry-after"));
+});
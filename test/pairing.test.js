@@ -0,0 +1,150 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { fake, startPortal, waitFor, tokenFromWelcome } = require("./helpers");
+const { decodeSessionString } = require("../session-string");
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+async function pair(number) {
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 200, r.text);
+  return r.body;
+}
+
+async function status(id) {
+  return (await portal.get(`/api/status/${id}`)).body;
+}
+
+test("pairing code -> linked -> ready -> one download", async () => {
+  const { session_id, code } = await pair("+234 803 123 4561");
+  assert.match(code, /^[A-Z0-9]{8}$/);
+  assert.equal(fake.forPhone("2348031234561").fake.code, code);
+
+  const pending = await status(session_id);
+  assert.equal(pending.status, "pending");
+  assert.equal(pending.code, code);
+
+  const early = await portal.get(`/api/session/${session_id}?format=string`);
+  assert.equal(early.status, 409);
+
+  await fake.link(fake.forPhone("2348031234561"));
+  const ready = await waitFor(async () => {
+    const st = await status(session_id);
+    return st.status === "ready" && st;
+  }, { what: "ready" });
+  assert.equal(ready.token_hash, undefined);
+
+  const token = await waitFor(() => tokenFromWelcome("2348031234561"), { what: "welcome DM" });
+
+  const missing = await portal.get(`/api/session/${session_id}?format=string`);
+  assert.equal(missing.status, 403);
+  const wrong = await portal.get(`/api/session/${session_id}?format=string`, {
+    headers: { "X-DOWNLOAD-TOKEN": `dl_${"A".repeat(43)}` },
+  });
+  assert.equal(wrong.status, 403);
+
+  const dl = await portal.get(`/api/session/${session_id}?format=string`, { headers: { "X-DOWNLOAD-TOKEN": token } });
+  assert.equal(dl.status, 200, dl.text);
+  assert.equal(crypto.createHash("sha256").update(dl.body.data).digest("hex"), dl.body.sha256);
+
+  const files = decodeSessionString(dl.body.data);
+  const creds = JSON.parse(files["creds.json"]);
+  assert.equal(creds.registered, true);
+  assert.match(creds.me.id, /^2348031234561:\d+@s\.whatsapp\.net$/);
+  assert.ok(Object.keys(files).some((n) => n.startsWith("pre-key-")));
+
+  const again = await portal.get(`/api/session/${session_id}?format=string`, { headers: { "X-DOWNLOAD-TOKEN": token } });
+  assert.equal(again.status, 403);
+  assert.match(again.body.error, /used/);
+
+  const after = await status(session_id);
+  assert.equal(after.downloads, 1);
+});
+
+test("zip export carries per-file checksums", async () => {
+  const { session_id } = await pair("2348031234562");
+  await fake.link(fake.forPhone("2348031234562"));
+  const token = await waitFor(() => tokenFromWelcome("2348031234562"), { what: "welcome DM" });
+
+  const dl = await portal.get(`/api/session/${session_id}?format=zip&encoding=binary`, {
+    headers: { "X-DOWNLOAD-TOKEN": token },
+  });
+  assert.equal(dl.status, 200);
+  assert.equal(dl.headers.get("content-type"), "application/zip");
+  assert.ok(dl.headers.get("x-checksum-sha256"));
+});
+
+test("WhatsApp timing out (408) expires the session", async () => {
+  const { session_id } = await pair("2348031234563");
+  fake.timeout(fake.forPhone("2348031234563"));
+
+  const st = await waitFor(async () => {
+    const s = await status(session_id);
+    return s.status === "expired" && s;
+  }, { what: "expired" });
+  assert.ok(st.expired_at);
+
+  const dl = await portal.get(`/api/session/${session_id}?format=string`);
+  assert.equal(dl.status, 409);
+});
+
+test("a close before linking frees the number for a new pairing", async () => {
+  const first = await pair("2348031234564");
+
+  const dup = await portal.post("/api/pair", { number: "2348031234564" });
+  assert.equal(dup.status, 409);
+
+  fake.close(fake.forPhone("2348031234564"), 401);
+  const second = await waitFor(async () => {
+    const r = await portal.post("/api/pair", { number: "2348031234564" });
+    return r.status === 200 && r.body;
+  }, { what: "second pairing" });
+  assert.notEqual(second.session_id, first.session_id);
+  assert.equal((await status(first.session_id)).status, "pending");
+});
+
+test("QR login links like a pairing code", async () => {
+  const r = await portal.post("/api/qr", {});
+  assert.equal(r.status, 200, r.text);
+  assert.match(r.body.qr, /^data:image\/png;base64,/);
+
+  const sock = fake.sockets[fake.sockets.length - 1];
+  await fake.link(sock, { phone: "2348031234565" });
+
+  const st = await waitFor(async () => {
+    const s = await status(r.body.session_id);
+    return s.status === "ready" && s;
+  }, { what: "ready" });
+  assert.equal(st.mode, "qr");
+  assert.ok(tokenFromWelcome("2348031234565"));
+});
+
+test("pairing code failures surface as errors", async () => {
+  process.env.WA_FAKE_SCENARIO = "fail_code";
+  try {
+    const r = await portal.post("/api/pair", { number: "2348031234566" });
+    assert.equal(r.status, 500);
+    assert.equal(r.body.ok, false);
+  } finally {
+    process.env.WA_FAKE_SCENARIO = "manual";
+  }
+});
+
+test("bad input and unknown sessions", async () => {
+  assert.equal((await portal.post("/api/pair", { number: "12" })).status, 400);
+  assert.equal((await portal.post("/api/pair", { number: "2348031234567" }, { secret: "nope" })).status, 401);
+  assert.equal((await portal.get("/api/status/LK-0-missing")).status, 404);
+  assert.equal((await portal.get("/api/session/LK-0-missing?format=nope")).status, 400);
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fake, startPortal, waitFor } = require("./helpers");
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.close();
+});
+
+const status = async (id) => (await portal.get(`/api/status/${id}`)).body;
+
+test("refresh asks the live socket for a new code and pushes the expiry out", async () => {
+  const number = "2348031234581";
+  const r = await portal.post("/api/pair", { number });
+  assert.equal(r.status, 200, r.text);
+  const sock = fake.forPhone(number);
+  const sockets = fake.sockets.length;
+
+  const before = await status(r.body.session_id);
+  const re = await portal.post(`/api/pair/${r.body.session_id}/refresh`);
+  assert.equal(re.status, 200, re.text);
+  assert.notEqual(re.body.code, r.body.code);
+  assert.equal(re.body.code, sock.fake.code);
+  assert.equal(re.body.refreshes_left, 2);
+  assert.ok(re.body.expires_at >= before.expires_at);
+  assert.equal(fake.sockets.length, sockets, "no new socket");
+
+  const st = await status(r.body.session_id);
+  assert.equal(st.status, "pending");
+  assert.equal(st.expires_at, re.body.expires_at);
+});
+
+test("refresh rebuilds the socket after it closed, and the new code links", async () => {
+  const number = "2348031234582";
+  const r = await portal.post("/api/pair", { number });
+  const first = fake.forPhone(number);
+  fake.close(first);
+  await waitFor(() => first.fake.closed, { what: "socket closed" });
+
+  const re = await portal.post(`/api/pair/${r.body.session_id}/refresh`);
+  assert.equal(re.status, 200, re.text);
+  const second = fake.forPhone(number);
+  assert.notEqual(second, first);
+  assert.equal(re.body.code, second.fake.code);
+
+  await fake.link(second);
+  await waitFor(async () => (await status(r.body.session_id)).status === "ready", { what: "ready" });
+});
+
+test("refreshes are capped per session", async () => {
+  const r = await portal.post("/api/pair", { number: "2348031234583" });
+  for (let i = 0; i < 3; i++) {
+    const re = await portal.post(`/api/pair/${r.body.session_id}/refresh`);
+    assert.equal(re.status, 200, re.text);
+  }
+  const over = await portal.post(`/api/pair/${r.body.session_id}/refresh`);
+  assert.equal(over.status, 429);
+});
+
+test("QR and expired sessions cannot be refreshed", async () => {
+  const qr = await portal.post("/api/qr", {});
+  assert.equal(qr.status, 200, qr.text);
+  assert.equal((await portal.post(`/api/pair/${qr.body.session_id}/refresh`)).status, 409);
+
+  const number = "2348031234584";
+  const r = await portal.post("/api/pair", { number });
+  fake.timeout(fake.forPhone(number));
+  await waitFor(async () => (await status(r.body.session_id)).status === "expired", { what: "expired" });
+  assert.equal((await portal.post(`/api/pair/${r.body.session_id}/refresh`)).status, 410);
+
+  assert.equal((await portal.post("/api/pair/LK-nope/refresh")).status, 404);
+});
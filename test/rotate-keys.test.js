@@ -0,0 +1,64 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startPortal } = require("./helpers");
+const vault = require("../vault");
+const storage = require("../storage");
+const { rotateFiles, rotateBackend } = require("../rotate-keys");
+
+const OLD = "33".repeat(32);
+const NEW = "44".repeat(32);
+
+const kidOf = (text) => JSON.parse(text).kid;
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  delete process.env.SESSION_ENC_KEY;
+  delete process.env.SESSION_ENC_KEYS_OLD;
+  await portal.close();
+});
+
+test("rotation skips unreadable files and re-seals auth files with no status record", async () => {
+  const b = storage.backend();
+  process.env.SESSION_ENC_KEY = OLD;
+
+  // a session with its status record, and an auth file set whose record is gone
+  await b.putStatus("with-record", vault.sealRecord({ status: "ready", phone: "2348031234700" }));
+  await (await b.files("with-record")).write("creds.json", vault.seal("{}"));
+  await (await b.files("orphan")).write("creds.json", vault.seal("{}"));
+
+  fs.mkdirSync(storage.ACTIVE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(storage.ACTIVE_DIR, "broken.json"), "{ not json");
+  fs.writeFileSync(
+    path.join(storage.ACTIVE_DIR, "local.json"),
+    JSON.stringify(vault.sealRecord({ status: "ready", phone: "2348031234701" }))
+  );
+
+  process.env.SESSION_ENC_KEY = NEW;
+  process.env.SESSION_ENC_KEYS_OLD = OLD;
+  const kid = vault.keyId(vault.parseKey(NEW));
+
+  const counts = { files: 0, statuses: 0, skipped: 0 };
+  rotateFiles(counts);
+  await rotateBackend(counts);
+
+  assert.deepEqual(counts, { files: 2, statuses: 2, skipped: 1 });
+  assert.equal(fs.readFileSync(path.join(storage.ACTIVE_DIR, "broken.json"), "utf-8"), "{ not json");
+  assert.equal(kidOf(JSON.parse(fs.readFileSync(path.join(storage.ACTIVE_DIR, "local.json"), "utf-8")).enc), kid);
+
+  for (const id of ["with-record", "orphan"]) {
+    assert.equal(kidOf(await (await b.files(id)).read("creds.json")), kid, id);
+  }
+  const rec = await b.getStatus("with-record");
+  assert.equal(kidOf(rec.enc), kid);
+  assert.equal(vault.openRecord(rec).phone, "2348031234700");
+});
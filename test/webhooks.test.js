@@ -0,0 +1,124 @@
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+const { SECRET, fake, startPortal, waitFor } = require("./helpers");
+const webhooks = require("../webhooks");
+
+let portal;
+let receiver;
+let received = [];
+let internal = 0;
+
+before(async () => {
+  portal = await startPortal();
+  receiver = http.createServer((req, res) => {
+    if (req.url === "/redirect") {
+      res.writeHead(302, { Location: `http://127.0.0.1:${receiver.address().port}/internal` });
+      return res.end();
+    }
+    if (req.url === "/internal") internal++;
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+});
+
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await portal.close();
+});
+
+test("callback URLs must resolve to public addresses", async () => {
+  const refused = [
+    "ftp://example.com/hook",
+    "http://127.0.0.1:8080/hook",
+    "http://localhost/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.5/hook",
+    "http://172.16.0.1/hook",
+    "http://192.168.1.1/hook",
+    "http://100.64.0.1/hook",
+    "http://0.0.0.0/hook",
+    "http://0x7f.1/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://[fd00::1]/hook",
+    "http://[fe80::1]/hook",
+  ];
+  for (const url of refused) assert.ok(await webhooks.checkCallbackUrl(url), url);
+
+  for (const url of ["https://8.8.8.8/hook", "http://[2606:4700::1111]/hook", "http://[::ffff:8.8.8.8]/hook"]) {
+    assert.equal(await webhooks.checkCallbackUrl(url), null, url);
+  }
+
+  process.env.WEBHOOK_ALLOW_HOSTS = "127.0.0.1, bot.internal";
+  try {
+    assert.equal(await webhooks.checkCallbackUrl("http://127.0.0.1:8080/hook"), null);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_HOSTS;
+  }
+
+  const r = await portal.post("/api/pair", { number: "2348031234601", callback_url: "http://169.254.169.254/" });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /private or reserved/);
+});
+
+test("an allow-listed receiver gets a signed session.ready, recorded on the session", async () => {
+  process.env.WEBHOOK_ALLOW_HOSTS = "127.0.0.1";
+  try {
+    const callback_url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    const number = "2348031234602";
+    const r = await portal.post("/api/pair", { number, callback_url });
+    assert.equal(r.status, 200, r.text);
+    await fake.link(fake.forPhone(number));
+
+    const hit = await waitFor(() => received.find((x) => JSON.parse(x.body).session_id === r.body.session_id), {
+      what: "webhook",
+    });
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update(`${hit.headers["x-lk-timestamp"]}.${hit.body}`)
+      .digest("hex");
+    assert.equal(hit.headers["x-lk-signature"], `sha256=${expected}`);
+    assert.match(JSON.parse(hit.body).download_token, /^dl_/);
+
+    const st = await waitFor(async () => {
+      const s = (await portal.get(`/api/status/${r.body.session_id}`)).body;
+      return s.webhooks?.[0]?.status === "delivered" && s;
+    }, { what: "delivery recorded" });
+    assert.equal(st.status, "ready", "the webhook write kept the status fields");
+    assert.ok(st.ready_at);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_HOSTS;
+  }
+});
+
+test("a redirect is a failed attempt, never followed", async () => {
+  Object.assign(process.env, { WEBHOOK_ALLOW_HOSTS: "127.0.0.1", WEBHOOK_MAX_ATTEMPTS: "1" });
+  try {
+    const number = "2348031234603";
+    const callback_url = `http://127.0.0.1:${receiver.address().port}/redirect`;
+    const r = await portal.post("/api/pair", { number, callback_url });
+    assert.equal(r.status, 200, r.text);
+    await fake.link(fake.forPhone(number));
+
+    const hook = await waitFor(async () => {
+      const w = (await portal.get(`/api/status/${r.body.session_id}`)).body.webhooks?.[0];
+      return w?.status === "failed" && w;
+    }, { what: "failed delivery" });
+    assert.equal(hook.http_status, 302);
+    assert.match(hook.last_error, /redirects are not followed/);
+    assert.equal(internal, 0);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_HOSTS;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  }
+});
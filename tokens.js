@@ -0,0 +1,91 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const storage = require("./storage");
+
+/* =========================
+ * Download tokens
+ * =========================
+ * GET /api/session/:id needs a single-use token, issued when the session turns ready and
+ * handed out only in the welcome DM ({download_token}) and the session.ready webhook.
+ * The status record keeps its sha256 (token_hash), token_expires_at and token_used_at.
+ *
+ *   DOWNLOAD_TOKEN_TTL_MS  lifetime of a token (default 30 min)
+ *   CLAIM_ON_DOWNLOAD=1    the first download marks the session "claimed"; later exports are refused
+ */
+
+function ttlMs() {
+  return Math.max(60_000, Number(process.env.DOWNLOAD_TOKEN_TTL_MS || 30 * 60 * 1000));
+}
+
+function claimOnDownload() {
+  return process.env.CLAIM_ON_DOWNLOAD === "1";
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function isToken(raw) {
+  return /^dl_[A-Za-z0-9_-]{43}$/.test(String(raw || ""));
+}
+
+/**
+ * { token, fields }: the plain token goes to the user once, fields go on the status record.
+ */
+function issue() {
+  const token = `dl_${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    token,
+    fields: { token_hash: hashToken(token), token_expires_at: Date.now() + ttlMs(), token_used_at: null },
+  };
+}
+
+function provided(req) {
+  return String(req.headers["x-download-token"] || req.query?.token || "").trim();
+}
+
+/**
+ * Checks a presented token against the status record. Returns null when usable,
+ * else the reason: missing, invalid, expired, used.
+ */
+function check(st, token) {
+  if (!token) return "missing";
+  if (!isToken(token) || !st?.token_hash) return "invalid";
+
+  const a = Buffer.from(st.token_hash, "hex");
+  const b = Buffer.from(hashToken(token), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return "invalid";
+  if (st.token_used_at) return "used";
+  if ((st.token_expires_at || 0) < Date.now()) return "expired";
+  return null;
+}
+
+/**
+ * Marks the token used, atomically in the storage backend (storage.js consumeToken), so
+ * concurrent downloads and several instances cannot spend it twice. Resolves false when it
+ * was already used. Throws for a backend that cannot do it: the download is refused.
+ */
+async function consume(session_id, st, at = Date.now()) {
+  const b = storage.backend();
+  if (typeof b.consumeToken !== "function") throw new Error(`Storage backend ${b.name} cannot spend tokens once`);
+  return await b.consumeToken(session_id, st.token_hash, at);
+}
+
+// never shown on public status responses
+function stripTokenFields(st) {
+  if (!st) return st;
+  const { token_hash, ...rest } = st;
+  return rest;
+}
+
+module.exports = {
+  ttlMs,
+  claimOnDownload,
+  issue,
+  provided,
+  check,
+  consume,
+  stripTokenFields,
+};
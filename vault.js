@@ -0,0 +1,232 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/* =========================
+ * Envelope encryption (AES-256-GCM)
+ * =========================
+ * Every blob gets its own random data key. The data key is wrapped with the
+ * server key from SESSION_ENC_KEY, so rotating the server key only rewraps
+ * the small data keys and never touches the ciphertext.
+ *
+ * SESSION_ENC_KEY       current key: 32 bytes as 64 hex chars or base64
+ * SESSION_ENC_KEYS_OLD  optional comma-separated older keys (decrypt only)
+ * EXPORT_ENC_KEY        optional, seals GET /api/session/:id exports (sealWith / openWith), so
+ *                       bots never need the at-rest key
+ *
+ * Sealed value (JSON string):
+ *   {"lkenc":1,"kid":"<key id>","dk":"<wrapped data key>","iv":"..","tag":"..","ct":".."}
+ */
+
+const ALG = "aes-256-gcm";
+const PREFIX = '{"lkenc":1,';
+
+function parseKey(raw, name = "SESSION_ENC_KEY") {
+  const s = String(raw || "").trim();
+  let key = null;
+  if (/^[0-9a-fA-F]{64}$/.test(s)) key = Buffer.from(s, "hex");
+  else if (s) key = Buffer.from(s, "base64");
+
+  if (!key || key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes (64 hex chars or base64)`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+let _cacheFor = null;
+let _keys = null;
+
+/**
+ * { current: { kid, key } | null, byId: Map<kid, key> } from the env.
+ * Re-read when the env changes so the rotation script can swap keys in-process.
+ */
+function keyring() {
+  const cur = process.env.SESSION_ENC_KEY || "";
+  const old = process.env.SESSION_ENC_KEYS_OLD || "";
+  const cacheFor = `${cur}|${old}`;
+  if (_keys && _cacheFor === cacheFor) return _keys;
+
+  const byId = new Map();
+  let current = null;
+  if (cur) {
+    const key = parseKey(cur);
+    current = { kid: keyId(key), key };
+    byId.set(current.kid, key);
+  }
+  for (const raw of old.split(",").map((x) => x.trim()).filter(Boolean)) {
+    const key = parseKey(raw);
+    byId.set(keyId(key), key);
+  }
+
+  _keys = { current, byId };
+  _cacheFor = cacheFor;
+  return _keys;
+}
+
+function enabled() {
+  return !!keyring().current;
+}
+
+function encrypt(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALG, key, iv);
+  const ct = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ct };
+}
+
+function decrypt(key, iv, tag, ct) {
+  const decipher = crypto.createDecipheriv(ALG, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+// wrapped data key = iv(12) | tag(16) | ct(32)
+function wrapKey(kek, dataKey) {
+  const w = encrypt(kek, dataKey);
+  return Buffer.concat([w.iv, w.tag, w.ct]).toString("base64");
+}
+
+function unwrapKey(kek, wrapped) {
+  const b = Buffer.from(wrapped, "base64");
+  return decrypt(kek, b.subarray(0, 12), b.subarray(12, 28), b.subarray(28));
+}
+
+function isSealed(text) {
+  return typeof text === "string" && text.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a Buffer or string under the current key. Returns a sealed JSON string.
+ */
+function seal(data) {
+  const { current } = keyring();
+  if (!current) throw new Error("SESSION_ENC_KEY is not set");
+  return sealUnder(current, data);
+}
+
+function sealUnder(current, data) {
+  const dataKey = crypto.randomBytes(32);
+  const body = encrypt(dataKey, Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf-8"));
+
+  return JSON.stringify({
+    lkenc: 1,
+    kid: current.kid,
+    dk: wrapKey(current.key, dataKey),
+    iv: body.iv.toString("base64"),
+    tag: body.tag.toString("base64"),
+    ct: body.ct.toString("base64"),
+  });
+}
+
+function openEnvelope(text) {
+  const env = JSON.parse(text);
+  const kek = keyring().byId.get(env.kid);
+  if (!kek) throw new Error(`No key for sealed data (kid ${env.kid})`);
+  return { env, dataKey: unwrapKey(kek, env.dk) };
+}
+
+/**
+ * Decrypt a sealed JSON string back to a Buffer.
+ */
+function open(text) {
+  const { env, dataKey } = openEnvelope(text);
+  return decrypt(
+    dataKey,
+    Buffer.from(env.iv, "base64"),
+    Buffer.from(env.tag, "base64"),
+    Buffer.from(env.ct, "base64")
+  );
+}
+
+/**
+ * seal / open with a key of their own (EXPORT_ENC_KEY) instead of the at-rest keyring.
+ */
+function sealWith(rawKey, data) {
+  const key = parseKey(rawKey, "EXPORT_ENC_KEY");
+  return sealUnder({ kid: keyId(key), key }, data);
+}
+
+function openWith(rawKey, text) {
+  const key = parseKey(rawKey, "EXPORT_ENC_KEY");
+  const env = JSON.parse(text);
+  if (env.kid !== keyId(key)) throw new Error(`Sealed with another key (kid ${env.kid})`);
+  return decrypt(
+    unwrapKey(key, env.dk),
+    Buffer.from(env.iv, "base64"),
+    Buffer.from(env.tag, "base64"),
+    Buffer.from(env.ct, "base64")
+  );
+}
+
+/**
+ * Plain text stays as-is (files written before encryption was turned on).
+ */
+function openText(text) {
+  return isSealed(text) ? open(text).toString("utf-8") : text;
+}
+
+/**
+ * Re-wrap a sealed value's data key under the current key; plain values get sealed.
+ * Returns null when nothing changed.
+ */
+function reseal(text) {
+  const { current } = keyring();
+  if (!current) throw new Error("SESSION_ENC_KEY is not set");
+  if (!isSealed(text)) return seal(text);
+
+  const { env, dataKey } = openEnvelope(text);
+  if (env.kid === current.kid) return null;
+  return JSON.stringify({ ...env, kid: current.kid, dk: wrapKey(current.key, dataKey) });
+}
+
+/* =========================
+ * Status records
+ * ========================= */
+const SEALED_FIELDS = ["phone", "code", "qr"];
+
+function sealRecord(rec) {
+  if (!rec || !enabled()) return rec;
+
+  const out = { ...rec };
+  const secret = {};
+  for (const k of SEALED_FIELDS) {
+    if (k in out) {
+      secret[k] = out[k];
+      delete out[k];
+    }
+  }
+  if (Object.keys(secret).length) out.enc = seal(JSON.stringify(secret));
+  return out;
+}
+
+function openRecord(rec) {
+  if (!rec?.enc) return rec;
+
+  const { enc, ...rest } = rec;
+  try {
+    return { ...rest, ...JSON.parse(open(enc).toString("utf-8")) };
+  } catch (e) {
+    console.warn("[vault] cannot open record:", e?.message || e);
+    return rest;
+  }
+}
+
+module.exports = {
+  SEALED_FIELDS,
+  parseKey,
+  keyId,
+  enabled,
+  isSealed,
+  seal,
+  open,
+  sealWith,
+  openWith,
+  openText,
+  reseal,
+  sealRecord,
+  openRecord,
+};
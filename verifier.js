@@ -0,0 +1,104 @@
+"use strict";
+
+const { listStatuses } = require("./store");
+
+/* =========================
+ * Scheduled session re-checks
+ * =========================
+ * Off unless VERIFY_RECHECK_HOURS > 0. Then every VERIFY_INTERVAL_MS (default 6h) sessions that
+ * turned ready within the last VERIFY_RECHECK_HOURS and were not checked during the last interval
+ * are verified again (POST /api/session/:id/verify does the same on demand), one at a time,
+ * at most VERIFY_BATCH (default 20) per pass, least recently checked first.
+ *
+ * A check opens a short WhatsApp connection with the stored creds, which briefly replaces the
+ * connection of a bot running on the same session: keep the interval long.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const stats = {
+  runs: 0,
+  checked: 0,
+  valid: 0,
+  logged_out: 0,
+  unreachable: 0,
+  skipped: 0,
+  errors: 0,
+  last_run_at: null,
+  last_duration_ms: null,
+  last_error: null,
+};
+
+let _timer = null;
+let _running = false;
+
+function windowMs() {
+  return Number(process.env.VERIFY_RECHECK_HOURS || 0) * HOUR;
+}
+
+function intervalMs() {
+  return Math.max(60_000, Number(process.env.VERIFY_INTERVAL_MS || 6 * HOUR));
+}
+
+async function due(now) {
+  const since = now - windowMs();
+  const before = now - intervalMs();
+  const batch = Math.max(1, Number(process.env.VERIFY_BATCH || 20));
+
+  return (await listStatuses({ status: ["ready", "claimed"], readySince: since, checkedBefore: before }))
+    .sort((a, b) => (a.health_checked_at || 0) - (b.health_checked_at || 0))
+    .slice(0, batch)
+    .map((st) => st.session_id);
+}
+
+/**
+ * One pass. hooks: { verify(id) -> { result } } (throws with .status when the session cannot be checked)
+ */
+async function sweep(hooks) {
+  if (_running) return stats;
+  _running = true;
+
+  const started = Date.now();
+
+  try {
+    for (const id of await due(started)) {
+      try {
+        const r = await hooks.verify(id);
+        stats.checked++;
+        stats[r.result] = (stats[r.result] || 0) + 1;
+      } catch (e) {
+        if (!e?.status) throw e;
+        stats.skipped++;
+      }
+    }
+  } catch (e) {
+    stats.errors++;
+    stats.last_error = e?.message || String(e);
+    console.warn("[verifier]", stats.last_error);
+  } finally {
+    stats.runs++;
+    stats.last_run_at = started;
+    stats.last_duration_ms = Date.now() - started;
+    _running = false;
+  }
+
+  return stats;
+}
+
+function start(hooks) {
+  if (_timer || windowMs() <= 0) return;
+
+  _timer = setInterval(() => sweep(hooks), intervalMs());
+  _timer.unref?.();
+}
+
+function stop() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+function enabled() {
+  return windowMs() > 0;
+}
+
+module.exports = { start, stop, sweep, stats, enabled };
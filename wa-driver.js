@@ -0,0 +1,76 @@
+"use strict";
+
+const pino = require("pino");
+
+const {
+  default: makeWASocket,
+  makeCacheableSignalKeyStore,
+  Browsers,
+  fetchLatestBaileysVersion,
+} = require("@whiskeysockets/baileys");
+
+/* =========================
+ * WhatsApp socket drivers
+ * =========================
+ * WA_DRIVER picks what api.js opens its login sockets with:
+ *   baileys  makeWASocket against WhatsApp's servers (default)
+ *   fake     fake-wa.js, a scripted stand-in for offline end-to-end tests and demos
+ *
+ * A driver: { name, timings, latestVersion() -> { version, error? }, makeSocket(state, version) -> socket }
+ * timings are the waits around linking; real WhatsApp needs them, the fake does not.
+ */
+
+const DRIVERS = ["baileys", "fake"];
+
+let _driver = null;
+
+const baileysDriver = {
+  name: "baileys",
+
+  timings: {
+    warmupMs: 400, // before each requestPairingCode
+    retryMs: 900, // + retryStepMs per failed attempt
+    retryStepMs: 250,
+    credsFlushMs: 1200, // after "open", for creds.json to land in the store
+    welcomeMs: 2000, // before the welcome DM
+    keepAliveMs: 20000, // after the welcome DM, so WhatsApp finishes the link handshake
+  },
+
+  // a failed fetch resolves with { error, version: <bundled> }
+  latestVersion: () => fetchLatestBaileysVersion(),
+
+  makeSocket(state, version) {
+    return makeWASocket({
+      version,
+      logger: pino({ level: "silent" }),
+      printQRInTerminal: false,
+      browser: Browsers.ubuntu("LORDKARMA Session Portal"),
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "silent" })),
+      },
+      // very important for pairing-code portals:
+      // keep default (mobile false) so it behaves like WhatsApp Web
+      mobile: false,
+      syncFullHistory: false,
+    });
+  },
+};
+
+function kind() {
+  return String(process.env.WA_DRIVER || "baileys").trim().toLowerCase();
+}
+
+/**
+ * The configured driver. Throws on an unknown WA_DRIVER.
+ */
+function driver() {
+  if (_driver) return _driver;
+
+  const k = kind();
+  if (!DRIVERS.includes(k)) throw new Error(`Unknown WA_DRIVER "${k}" (use ${DRIVERS.join(", ")})`);
+  _driver = k === "fake" ? require("./fake-wa").driver : baileysDriver;
+  return _driver;
+}
+
+module.exports = { DRIVERS, kind, driver };
@@ -0,0 +1,280 @@
+"use strict";
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const { loadStatus, patchStatus } = require("./store");
+
+/* =========================
+ * Webhooks
+ * =========================
+ * Events: session.ready, session.expired, session.logged_out (health check, api.js verifySession)
+ * Sent to the session's callback_url (POST /api/pair body) and to WEBHOOK_URL.
+ *
+ * Each POST carries
+ *   X-LK-Event:      event name
+ *   X-LK-Timestamp:  ms since epoch
+ *   X-LK-Signature:  sha256=<hex hmac of "<timestamp>.<body>"> keyed with WEBHOOK_SECRET
+ *                    (falls back to SESSION_SECRET; omitted when neither is set)
+ *
+ * Failed deliveries are retried with backoff (WEBHOOK_MAX_ATTEMPTS, default 5)
+ * and every attempt is recorded on the session's status record under `webhooks`.
+ *
+ * callback_url comes from API callers, so it must resolve to public addresses only: loopback,
+ * private, link-local (cloud metadata), CGNAT, multicast and reserved ranges are refused when it
+ * is registered and again before every attempt, and the connection goes to the address that was
+ * checked (no second lookup to rebind). Redirects are not followed: a 3xx is a failed attempt.
+ * WEBHOOK_ALLOW_HOSTS (comma-separated host names) lifts that for internal receivers;
+ * WEBHOOK_URL is the operator's own and is not checked.
+ */
+
+const TIMEOUT_MS = 10_000;
+const BASE_DELAY_MS = 2_000;
+
+function maxAttempts() {
+  return Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5));
+}
+
+function signingSecret() {
+  return process.env.WEBHOOK_SECRET || process.env.SESSION_SECRET || "";
+}
+
+const BLOCKED = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(addr, prefix, "ipv6");
+}
+
+// ::ffff:a.b.c.d (also written ::ffff:xxxx:xxxx) -> a.b.c.d, checked as IPv4
+function unmapped(address) {
+  const m = /^::ffff:(?:([\d.]+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i.exec(address);
+  if (!m) return null;
+  if (m[1]) return m[1];
+  const n = (parseInt(m[2], 16) << 16) | parseInt(m[3], 16);
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join(".");
+}
+
+function isBlocked(address, family) {
+  const v4 = family === 6 ? unmapped(address) : address;
+  return v4 ? BLOCKED.check(v4, "ipv4") : BLOCKED.check(address, "ipv6");
+}
+
+// URL host without IPv6 brackets
+const hostOf = (u) => u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// dns.lookup for the request itself: refuses blocked addresses at connect time
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return callback(err);
+    if (addrs.some((a) => isBlocked(a.address, a.family))) {
+      return callback(new Error(`${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addrs);
+    return callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+function allowedHosts() {
+  return String(process.env.WEBHOOK_ALLOW_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Resolves null when `raw` may receive webhooks, else why not.
+ */
+async function checkCallbackUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw));
+  } catch (_) {
+    return "not a URL";
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") return "http/https only";
+
+  const host = hostOf(u);
+  if (allowedHosts().includes(host)) return null;
+
+  let addrs;
+  try {
+    addrs = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch (_) {
+    return `cannot resolve ${host}`;
+  }
+  if (!addrs.length) return `cannot resolve ${host}`;
+
+  for (const { address, family } of addrs) {
+    if (isBlocked(address, family)) return `${host} is a private or reserved address`;
+  }
+  return null;
+}
+
+function sign(timestamp, body) {
+  const secret = signingSecret();
+  if (!secret) return null;
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Merge a delivery's state into the status record (one entry per event + url). Only `webhooks`
+ * is written, onto the current record (store.js patchStatus).
+ */
+async function record(session_id, event, url, patch) {
+  let next = null;
+  await patchStatus(session_id, (st) => {
+    const list = Array.isArray(st.webhooks) ? st.webhooks.slice() : [];
+    const i = list.findIndex((w) => w.event === event && w.url === url);
+    next = { ...(i >= 0 ? list[i] : { event, url, attempts: 0 }), ...patch };
+    if (i >= 0) list[i] = next;
+    else list.push(next);
+    return { webhooks: list };
+  });
+  return next;
+}
+
+/**
+ * One POST, no redirects. checked: connect only to addresses outside the blocklist.
+ * Resolves the HTTP status.
+ */
+function post(url, headers, body, { checked }) {
+  const u = new URL(url);
+  const request = u.protocol === "https:" ? https.request : http.request;
+
+  return new Promise((resolve, reject) => {
+    const req = request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS,
+        ...(checked ? { lookup: checkedLookup } : {}),
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`No answer within ${TIMEOUT_MS}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+async function deliver(session_id, event, url, body, attempt) {
+  const timestamp = Date.now();
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "LORDKARMA-Session-Portal",
+    "X-LK-Event": event,
+    "X-LK-Timestamp": String(timestamp),
+  };
+  const signature = sign(timestamp, body);
+  if (signature) headers["X-LK-Signature"] = signature;
+
+  let error = null;
+  let http_status = null;
+  try {
+    const trusted = url === process.env.WEBHOOK_URL;
+    const refused = trusted ? null : await checkCallbackUrl(url);
+    if (refused) {
+      error = `refused: ${refused}`;
+    } else {
+      const checked = !trusted && !allowedHosts().includes(hostOf(new URL(url)));
+      http_status = await post(url, headers, body, { checked });
+      if (http_status >= 300 && http_status < 400) error = `HTTP ${http_status} (redirects are not followed)`;
+      else if (http_status < 200 || http_status >= 300) error = `HTTP ${http_status}`;
+    }
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+
+  if (!error) {
+    await record(session_id, event, url, { status: "delivered", attempts: attempt, http_status, last_error: null, delivered_at: Date.now() });
+    return;
+  }
+
+  const giveUp = attempt >= maxAttempts();
+  await record(session_id, event, url, {
+    status: giveUp ? "failed" : "retrying",
+    attempts: attempt,
+    http_status,
+    last_error: error,
+    last_attempt_at: Date.now(),
+  });
+
+  if (giveUp) {
+    console.warn("[webhook failed]", event, session_id, url, error);
+    return;
+  }
+
+  // 2s, 8s, 32s, 128s, ...
+  const wait = BASE_DELAY_MS * 4 ** (attempt - 1);
+  setTimeout(() => {
+    deliver(session_id, event, url, body, attempt + 1).catch((e) => console.warn("[webhook]", e?.message || e));
+  }, wait).unref?.();
+}
+
+/**
+ * Fire `event` for a session. Each event is sent at most once per url.
+ * `extra` is merged into the body (session.ready carries the one-time download token).
+ */
+async function notify(session_id, event, extra = {}) {
+  try {
+    const st = await loadStatus(session_id);
+    if (!st) return;
+
+    const urls = [...new Set([st.callback_url, process.env.WEBHOOK_URL].filter(Boolean))];
+    if (!urls.length) return;
+
+    const body = JSON.stringify({
+      event,
+      session_id,
+      status: st.status,
+      mode: st.mode,
+      phone: st.phone,
+      created_at: st.created_at,
+      expires_at: st.expires_at,
+      ...extra,
+      at: Date.now(),
+    });
+
+    const seen = Array.isArray(st.webhooks) ? st.webhooks : [];
+    for (const url of urls) {
+      if (seen.some((w) => w.event === event && w.url === url)) continue;
+      await record(session_id, event, url, { status: "pending", attempts: 0 });
+      deliver(session_id, event, url, body, 1).catch((e) => console.warn("[webhook]", e?.message || e));
+    }
+  } catch (e) {
+    console.warn("[webhook notify]", e?.message || e);
+  }
+}
+
+module.exports = { notify, checkCallbackUrl };
@@ -0,0 +1,199 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { getCollection } = require("./db");
+const config = require("./config");
+
+/* =========================
+ * Welcome message templates
+ * =========================
+ * The DM sent to a freshly linked account. Looked up per locale in
+ *   1. MongoDB `welcome_templates` ({ locale, text }), managed through /api/admin/templates
+ *   2. WELCOME_TEMPLATES_FILE (default ./welcome.json):
+ *        { "bot_name": "...", "default_locale": "en", "attach": "text",
+ *          "templates": { "en": "...", "fr": "..." } }
+ *   3. the built-in English template below
+ *
+ * Placeholders: {session_id} {phone} {bot_name} {mode} {created_at} {expires_at}
+ *               {download_token} {download_expires_at} (the one-time token for GET /api/session/:id)
+ * Unknown placeholders are left as they are.
+ *
+ * attach (file, else WELCOME_ATTACH): what follows the welcome text
+ *   text    the LORDKARMA~ session string as a second message (default)
+ *   string  the session string as a .txt document
+ *   zip     the auth files as a .zip document
+ *   none    nothing
+ */
+
+const ATTACH_MODES = ["text", "string", "zip", "none"];
+
+const DEFAULT_TEMPLATE =
+`🖤✨ {bot_name} SESSION LINKED ✅
+
+You have successfully linked your bot session.
+
+📌 Session ID:
+{session_id}
+
+✅ Next:
+Deploy the bot and set SESSION_ID={session_id}
+(or paste the LORDKARMA~ string below as SESSION_ID, it works without this portal)
+
+🔑 Download token (single use, valid until {download_expires_at}):
+{download_token}
+
+⚠ Keep this Session ID and token private.
+— {bot_name}`;
+
+function templatesFile() {
+  return process.env.WELCOME_TEMPLATES_FILE || path.join(process.cwd(), "welcome.json");
+}
+
+function readConfigFile() {
+  try {
+    return JSON.parse(fs.readFileSync(templatesFile(), "utf-8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.warn("[welcome config]", e?.message || e);
+    return {};
+  }
+}
+
+let _indexed = false;
+
+async function templatesCollection() {
+  const col = await getCollection("welcome_templates");
+  if (col && !_indexed) {
+    _indexed = true;
+    try {
+      await col.createIndex({ locale: 1 }, { unique: true });
+    } catch (_) {}
+  }
+  return col;
+}
+
+/**
+ * "pt-BR" / "pt_br" -> "pt-br"; anything that is not a language tag -> null.
+ */
+function normalizeLocale(raw) {
+  const s = String(raw || "").trim().toLowerCase().replace(/_/g, "-");
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(s) ? s : null;
+}
+
+/**
+ * Locale asked for by a request: ?locale= / body.locale, else the first Accept-Language entry.
+ */
+function localeFromRequest(req) {
+  const explicit = normalizeLocale(req.body?.locale || req.query?.locale);
+  if (explicit) return explicit;
+
+  const first = String(req.headers?.["accept-language"] || "").split(",")[0].split(";")[0];
+  return normalizeLocale(first);
+}
+
+// "pt-br" tries pt-br, then pt
+function candidates(locale) {
+  const l = normalizeLocale(locale);
+  if (!l) return [];
+  const base = l.split("-")[0];
+  return base === l ? [l] : [l, base];
+}
+
+async function findTemplate(locale, cfg) {
+  const fileTemplates = cfg.templates || {};
+  const fallback = normalizeLocale(cfg.default_locale || process.env.WELCOME_LOCALE) || "en";
+  const col = await templatesCollection();
+
+  for (const l of [...candidates(locale), fallback]) {
+    if (col) {
+      const doc = await col.findOne({ locale: l });
+      if (doc?.text) return { locale: l, text: doc.text };
+    }
+    if (typeof fileTemplates[l] === "string") return { locale: l, text: fileTemplates[l] };
+  }
+  return { locale: "en", text: DEFAULT_TEMPLATE };
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString().replace("T", " ").slice(0, 16) + " UTC" : "";
+}
+
+function render(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+function attachMode(cfg) {
+  const mode = String(cfg.attach || process.env.WELCOME_ATTACH || "text").toLowerCase();
+  return ATTACH_MODES.includes(mode) ? mode : "text";
+}
+
+/**
+ * Welcome text + attachment mode for a linked session (st = its status record,
+ * extra = { download_token, download_expires_at }).
+ */
+async function composeWelcome(session_id, st = {}, extra = {}) {
+  const cfg = readConfigFile();
+  const bot_name = cfg.bot_name || config.get().botName;
+  const tpl = await findTemplate(st.locale, cfg);
+
+  const text = render(tpl.text, {
+    session_id,
+    phone: st.phone ? `+${String(st.phone).replace(/^\+/, "")}` : "",
+    bot_name,
+    mode: st.mode || "pair",
+    created_at: formatTime(st.created_at),
+    expires_at: formatTime(st.expires_at),
+    download_token: extra.download_token || "",
+    download_expires_at: formatTime(extra.download_expires_at),
+  });
+
+  return { locale: tpl.locale, text, attach: attachMode(cfg), bot_name };
+}
+
+/* =========================
+ * DB-managed templates (admin)
+ * ========================= */
+async function listTemplates() {
+  const cfg = readConfigFile();
+  const col = await templatesCollection();
+  const stored = col ? await col.find({}, { projection: { _id: 0 } }).sort({ locale: 1 }).toArray() : [];
+
+  return {
+    attach: attachMode(cfg),
+    default_locale: normalizeLocale(cfg.default_locale || process.env.WELCOME_LOCALE) || "en",
+    db: stored,
+    file: Object.keys(cfg.templates || {}),
+  };
+}
+
+async function saveTemplate(locale, text) {
+  const l = normalizeLocale(locale);
+  if (!l) throw new Error("Invalid locale");
+  if (!String(text || "").trim()) throw new Error("Template text is required");
+
+  const col = await templatesCollection();
+  if (!col) throw new Error("Stored templates need MongoDB (use WELCOME_TEMPLATES_FILE instead)");
+
+  const doc = { locale: l, text: String(text), updated_at: Date.now() };
+  await col.updateOne({ locale: l }, { $set: doc }, { upsert: true });
+  return doc;
+}
+
+async function deleteTemplate(locale) {
+  const col = await templatesCollection();
+  if (!col) return false;
+  const r = await col.deleteOne({ locale: normalizeLocale(locale) });
+  return r.deletedCount > 0;
+}
+
+module.exports = {
+  ATTACH_MODES,
+  normalizeLocale,
+  localeFromRequest,
+  render,
+  composeWelcome,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+};